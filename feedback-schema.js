@@ -0,0 +1,53 @@
+// Schema for drawing check-in feedback: what the model says about a child's drawing of one step
+//
+//   {
+//     feedback: 'Great round head! Your circle is nice and smooth.',  // required, short and encouraging
+//     suggestion: 'Try making the ears a little bigger.',            // one thing to improve, may be empty
+//     readyForNext: true                                              // required, whether the step is done
+//   }
+
+const { extractJson } = require('./plan-schema');
+
+const MAX_FEEDBACK_LENGTH = 400;
+
+/**
+ * Parse and validate a model's feedback response
+ * @param {string} text - Raw model output
+ * @returns {{ feedback: Object|null, errors: string[] }} The cleaned feedback, or the problems found
+ */
+function parseFeedbackResponse(text) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { feedback: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { feedback: null, errors: ['Response must be a JSON object'] };
+  }
+  if (typeof value.feedback !== 'string' || !value.feedback.trim()) {
+    errors.push('feedback must be a non-empty string');
+  }
+  if (typeof value.readyForNext !== 'boolean') {
+    errors.push('readyForNext must be true or false');
+  }
+  if (value.suggestion !== undefined && value.suggestion !== null && typeof value.suggestion !== 'string') {
+    errors.push('suggestion must be a string');
+  }
+  if (errors.length > 0) {
+    return { feedback: null, errors };
+  }
+
+  return {
+    feedback: {
+      feedback: value.feedback.trim().slice(0, MAX_FEEDBACK_LENGTH),
+      suggestion: typeof value.suggestion === 'string' ? value.suggestion.trim().slice(0, MAX_FEEDBACK_LENGTH) : '',
+      readyForNext: value.readyForNext
+    },
+    errors: []
+  };
+}
+
+module.exports = { parseFeedbackResponse };
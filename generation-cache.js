@@ -0,0 +1,184 @@
+// Content-addressed cache for expensive generation results (reference sketches, descriptions, step counts, plans)
+// Each entry is a JSON file named after its key, plus any binary files stored next to it.
+// When the cache grows past its size limit, the least recently used entries are evicted.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+const FILE_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Create a generation cache
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the cache entries
+ * @param {number} options.maxBytes - Size limit; 0 (or anything that isn't a positive number) turns the cache off
+ * @returns {Object} Cache with key(), get(), set(), remove() and stats()
+ */
+function createGenerationCache({ directory, maxBytes }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  // In-memory index of entries: key -> { bytes, files, lastUsed }
+  const index = new Map();
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+  // Key -> promise of the write in progress
+  const pendingWrites = new Map();
+
+  function entryPath(key) {
+    return path.join(directory, `${key}.json`);
+  }
+
+  function filePath(key, name, extension) {
+    return path.join(directory, `${key}-${name}${extension}`);
+  }
+
+  // Rebuild the index from disk, using file modification times as last-used times
+  for (const file of fs.readdirSync(directory)) {
+    const match = /^([0-9a-f]{64})\.json$/.exec(file);
+    if (!match) continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const files = Object.entries(entry.files || {}).map(([name, extension]) => filePath(match[1], name, extension));
+      const bytes = [path.join(directory, file), ...files].reduce((sum, target) => sum + fs.statSync(target).size, 0);
+      index.set(match[1], { bytes, files, lastUsed: fs.statSync(path.join(directory, file)).mtimeMs });
+      totalBytes += bytes;
+    } catch (error) {
+      console.error(`Skipping unreadable cache entry ${file}:`, error.message);
+    }
+  }
+
+  /**
+   * Build a cache key from everything a result depends on
+   * @param {Object} parts - Inputs such as the image hash, difficulty, stage and prompt version
+   * @returns {string} Hex SHA-256 key
+   */
+  function key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} cacheKey - Key from key()
+   * @returns {Promise<{value: *, files: Object<string, string>}|null>} The cached value and paths of its files, or null on a miss
+   */
+  async function get(cacheKey) {
+    if (!(maxBytes > 0) || !KEY_PATTERN.test(cacheKey) || !index.has(cacheKey)) {
+      misses++;
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(entryPath(cacheKey), 'utf8'));
+      const files = {};
+      for (const [name, extension] of Object.entries(entry.files || {})) {
+        files[name] = filePath(cacheKey, name, extension);
+        await fs.promises.access(files[name]);
+      }
+
+      const now = new Date();
+      index.get(cacheKey).lastUsed = now.getTime();
+      await fs.promises.utimes(entryPath(cacheKey), now, now);
+      hits++;
+      return { value: entry.value, files };
+    } catch (error) {
+      // A damaged entry is just a miss
+      console.error(`Dropping unreadable cache entry ${cacheKey}:`, error.message);
+      await remove(cacheKey);
+      misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry, replacing any entry with the same key, then evict down to the size limit
+   * @param {string} cacheKey - Key from key()
+   * @param {*} value - JSON-serializable value
+   * @param {Object<string, {data: Buffer, extension: string}>} [files] - Binary files to keep with the entry
+   */
+  function set(cacheKey, value, files = {}) {
+    if (!(maxBytes > 0) || !KEY_PATTERN.test(cacheKey)) return Promise.resolve();
+
+    // Concurrent jobs can finish the same result at once; writes to one key take turns so they don't clobber each other
+    const previous = pendingWrites.get(cacheKey) || Promise.resolve();
+    const writing = previous.catch(() => {}).then(() => write(cacheKey, value, files));
+    pendingWrites.set(cacheKey, writing);
+    return writing.finally(() => {
+      if (pendingWrites.get(cacheKey) === writing) {
+        pendingWrites.delete(cacheKey);
+      }
+    });
+  }
+
+  async function write(cacheKey, value, files) {
+    await remove(cacheKey);
+
+    const extensions = {};
+    const paths = [];
+    let bytes = 0;
+    for (const [name, file] of Object.entries(files)) {
+      if (!FILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid cache file name "${name}"`);
+      }
+      const target = filePath(cacheKey, name, file.extension);
+      await fs.promises.writeFile(target, file.data);
+      extensions[name] = file.extension;
+      paths.push(target);
+      bytes += file.data.length;
+    }
+
+    // Write the entry last, so an entry on disk always has its files
+    const json = JSON.stringify({ value, files: extensions, createdAt: new Date().toISOString() });
+    const temporary = `${entryPath(cacheKey)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, json);
+    await fs.promises.rename(temporary, entryPath(cacheKey));
+    bytes += Buffer.byteLength(json);
+
+    index.set(cacheKey, { bytes, files: paths, lastUsed: Date.now() });
+    totalBytes += bytes;
+    await evict();
+  }
+
+  /**
+   * Delete an entry and its files
+   * @param {string} cacheKey - Key from key()
+   */
+  async function remove(cacheKey) {
+    const entry = index.get(cacheKey);
+    index.delete(cacheKey);
+    if (entry) {
+      totalBytes -= entry.bytes;
+    }
+    const targets = entry ? [entryPath(cacheKey), ...entry.files] : [entryPath(cacheKey)];
+    for (const target of targets) {
+      await fs.promises.unlink(target).catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to delete cache file ${target}:`, error.message);
+        }
+      });
+    }
+  }
+
+  // Drop least recently used entries until the cache fits its size limit
+  async function evict() {
+    const oldestFirst = [...index.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [cacheKey] of oldestFirst) {
+      if (totalBytes <= maxBytes) break;
+      console.log(`Evicting cache entry ${cacheKey}`);
+      await remove(cacheKey);
+    }
+  }
+
+  /**
+   * Describe the cache
+   * @returns {{ entries: number, bytes: number, maxBytes: number, hits: number, misses: number }}
+   */
+  function stats() {
+    return { entries: index.size, bytes: totalBytes, maxBytes, hits, misses };
+  }
+
+  return { key, get, set, remove, stats };
+}
+
+module.exports = { createGenerationCache };
@@ -0,0 +1,71 @@
+// Languages tutorials can be written in, and the translated strings the server puts into them
+// (narration, step count reasons, fallback steps, worksheets). The strings live in public/locales,
+// shared with the frontend, so each language has one file to translate.
+
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Language code -> English name, used when asking the models to answer in that language
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+const LOCALES = Object.fromEntries(
+  SUPPORTED_LANGUAGES.map(language => [language, require(path.join(__dirname, 'public', 'locales', `${language}.json`))])
+);
+
+/**
+ * Read a language code from a request
+ * @param {*} value - Requested language, e.g. 'es'; empty means the default language
+ * @returns {{ language: string|null, error: string|null }}
+ */
+function parseLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return { language: DEFAULT_LANGUAGE, error: null };
+  }
+  const language = String(value).toLowerCase();
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    return { language: null, error: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` };
+  }
+  return { language, error: null };
+}
+
+/**
+ * Translate a string, filling in {placeholders}; unknown languages and missing keys fall back to English
+ * @param {string} language - Language code
+ * @param {string} key - String key, e.g. 'stepCount.requested'
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ */
+function translate(language, key, params = {}) {
+  const locale = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+  const template = locale[key] !== undefined ? locale[key] : LOCALES[DEFAULT_LANGUAGE][key];
+  if (template === undefined) {
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Instruction appended to model prompts so answers come back in the tutorial's language
+ * @param {string} language - Language code
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - The answer is JSON, whose keys must stay in English
+ * @returns {string} The instruction, or '' for English
+ */
+function languageInstruction(language, { json = false } = {}) {
+  if (!language || language === DEFAULT_LANGUAGE || !LANGUAGE_NAMES[language]) {
+    return '';
+  }
+  const name = LANGUAGE_NAMES[language];
+  return json
+    ? `\n\nIMPORTANT: Write every text value in ${name}, in simple words a child understands. Keep the JSON keys exactly as shown, in English.`
+    : `\n\nIMPORTANT: Write your answer in ${name}, in simple words a child understands.`;
+}
+
+module.exports = { parseLanguage, translate, languageInstruction, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,79 @@
+// Upload ingestion: detect the real image format, then normalize the file before any model sees it
+// Normalizing applies the EXIF orientation, strips all metadata (photos can carry GPS tags) and
+// downscales large images. Errors carry a `code`:
+//   UNSUPPORTED_IMAGE - the file is not a JPEG, PNG, GIF or WebP image
+//   INVALID_IMAGE     - the file looks like an image but can't be decoded
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Magic bytes of the formats we accept, and what each is saved as after normalizing
+const FORMATS = [
+  { mimeType: 'image/jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff, output: 'jpeg' },
+  { mimeType: 'image/png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), output: 'png' },
+  { mimeType: 'image/gif', matches: b => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)), output: 'png' },
+  { mimeType: 'image/webp', matches: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP', output: 'webp' }
+];
+
+const OUTPUTS = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function detectFormat(buffer) {
+  return (buffer.length >= 12 && FORMATS.find(candidate => candidate.matches(buffer))) || null;
+}
+
+/**
+ * Check and normalize an uploaded image in place
+ * The normalized file replaces the upload, with an extension matching its real format
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=1536] - Longest side after downscaling, in pixels
+ * @returns {Promise<Object>} { path, filename, mimeType, originalMimeType, width, height }
+ */
+async function ingestImage(filePath, { maxDimension = 1536 } = {}) {
+  const input = await fs.promises.readFile(filePath);
+  const format = detectFormat(input);
+  if (!format) {
+    throw createError('Only JPEG, PNG, GIF and WebP images can be used', 'UNSUPPORTED_IMAGE');
+  }
+  const output = OUTPUTS[format.output];
+
+  let result;
+  try {
+    // rotate() with no angle applies the EXIF orientation; sharp drops all metadata on output by default
+    result = await sharp(input, { animated: false })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .toFormat(format.output)
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw createError(`The image could not be read: ${error.message}`, 'INVALID_IMAGE');
+  }
+
+  const normalizedPath = path.join(path.dirname(filePath), `${path.parse(filePath).name}${output.extension}`);
+  await fs.promises.writeFile(normalizedPath, result.data);
+  if (normalizedPath !== filePath) {
+    await fs.promises.unlink(filePath);
+  }
+
+  return {
+    path: normalizedPath,
+    filename: path.basename(normalizedPath),
+    mimeType: output.mimeType,
+    originalMimeType: format.mimeType,
+    width: result.info.width,
+    height: result.info.height
+  };
+}
+
+module.exports = { ingestImage };
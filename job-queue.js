@@ -0,0 +1,136 @@
+// In-process job queue used to run tutorial generation outside the HTTP request
+// Jobs are kept in memory, so they do not survive a server restart
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Create a bounded job queue that runs at most `concurrency` handlers at once
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum number of jobs running at the same time
+ * @param {number} options.maxPending - Maximum number of jobs waiting to start
+ * @param {number} options.retentionMs - How long finished jobs stay queryable
+ * @returns {Object} Queue with enqueue(), get() and stats()
+ *
+ * Every job carries an `events` emitter. It emits 'state' on each state change, 'done' with
+ * the final result, 'failed' with the error message, and whatever the handler publishes.
+ */
+function createJobQueue({ concurrency = 2, maxPending = 20, retentionMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  // Public, JSON-safe view of a job
+  function toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      state: this.state,
+      progress: this.progress,
+      result: this.result,
+      error: this.error,
+      queuePosition: this.state === 'queued' ? pending.indexOf(this) + 1 : 0,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  function touch(job) {
+    job.updatedAt = new Date().toISOString();
+  }
+
+  // Remove finished jobs once their retention period is over
+  function scheduleExpiry(job) {
+    const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+    timer.unref();
+  }
+
+  function runNext() {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+
+      Promise.resolve()
+        .then(() => job.handler(job))
+        .then(() => {
+          job.setState('done');
+          job.events.emit('done', job.result);
+        })
+        .catch(error => {
+          console.error(`Job ${job.id} failed:`, error.message);
+          job.error = error.message;
+          job.setState('failed');
+          job.events.emit('failed', job.error);
+        })
+        .finally(() => {
+          running--;
+          delete job.handler;
+          job.events.removeAllListeners();
+          scheduleExpiry(job);
+          runNext();
+        });
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type, reported back to clients
+   * @param {Function} handler - async (job) => void; reports progress through job.setState()
+   * @returns {Object|null} The queued job, or null when the queue is full
+   */
+  function enqueue(type, handler) {
+    if (pending.length >= maxPending) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      handler,
+      events: new EventEmitter(),
+      toJSON,
+      // Move the job to a new state, optionally with progress details
+      setState(state, progress = null) {
+        job.state = state;
+        job.progress = progress;
+        touch(job);
+        job.events.emit('state', { state, progress });
+      },
+      // Merge partial results so clients can see work as it completes
+      setResult(partial) {
+        job.result = { ...job.result, ...partial };
+        touch(job);
+      },
+      // Send a named event to anyone listening to this job
+      publish(event, data) {
+        job.events.emit(event, data);
+      }
+    };
+    // Each open progress stream adds listeners, so lift the default cap of 10
+    job.events.setMaxListeners(0);
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    runNext();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function stats() {
+    return { running, pending: pending.length, concurrency, maxPending };
+  }
+
+  return { enqueue, get, stats };
+}
+
+module.exports = { createJobQueue };
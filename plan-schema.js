@@ -0,0 +1,106 @@
+// Schema for tutorial plans: parsing and validating model output, and normalizing edited plans
+//
+// A plan is a list of steps shaped like:
+//   {
+//     objective: 'Draw a circle for the head',     // required, what the child draws in this step
+//     focus: 'The round shape of the head',        // what to pay attention to
+//     avoid: "Don't draw the face yet",            // what belongs to later steps
+//     tips: 'Draw lightly so you can fix it later',
+//     estimatedMinutes: 2
+//   }
+
+const MAX_OBJECTIVE_LENGTH = 300;
+const MAX_TEXT_LENGTH = 500;
+const MAX_MINUTES = 60;
+
+// Pull the JSON value out of a model response, tolerating ```json fences and surrounding prose
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.search(/[[{]/);
+  if (start === -1) {
+    throw new Error('Response does not contain JSON');
+  }
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+// Check one step against the schema; returns a list of problems (empty when valid)
+function validateStep(step, index) {
+  const label = `steps[${index}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof step.objective !== 'string' || !step.objective.trim()) {
+    errors.push(`${label}.objective must be a non-empty string`);
+  } else if (step.objective.length > MAX_OBJECTIVE_LENGTH) {
+    errors.push(`${label}.objective must be at most ${MAX_OBJECTIVE_LENGTH} characters`);
+  }
+  ['focus', 'avoid', 'tips'].forEach(field => {
+    if (typeof step[field] !== 'string' || step[field].length > MAX_TEXT_LENGTH) {
+      errors.push(`${label}.${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  });
+  const minutes = step.estimatedMinutes;
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) {
+    errors.push(`${label}.estimatedMinutes must be a number greater than 0 and at most ${MAX_MINUTES}`);
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate a model's plan response
+ * @param {string} text - Raw model output
+ * @param {number} totalSteps - Number of steps the plan must have
+ * @returns {{ plan: Object[]|null, errors: string[] }} The cleaned plan, or the problems found
+ */
+function parsePlanResponse(text, totalSteps) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { plan: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const steps = Array.isArray(value) ? value : value && value.steps;
+  if (!Array.isArray(steps)) {
+    return { plan: null, errors: ['Expected an object with a "steps" array'] };
+  }
+
+  const errors = steps.flatMap(validateStep);
+  if (steps.length !== totalSteps) {
+    errors.push(`Expected exactly ${totalSteps} steps but got ${steps.length}`);
+  }
+  if (errors.length > 0) {
+    return { plan: null, errors };
+  }
+
+  return { plan: steps.map(normalizePlanStep), errors: [] };
+}
+
+/**
+ * Normalize a plan step from a model, an older manifest (plain string) or a teacher's edit
+ * @param {Object|string} step - Plan step
+ * @returns {Object|null} Step with every schema field filled in, or null if it has no objective
+ */
+function normalizePlanStep(step) {
+  const source = typeof step === 'string' ? { objective: step } : step || {};
+  const objective = typeof source.objective === 'string' ? source.objective.trim() : '';
+  if (!objective || objective.length > MAX_OBJECTIVE_LENGTH) {
+    return null;
+  }
+
+  const text = value => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '');
+  const minutes = Number(source.estimatedMinutes);
+  return {
+    objective,
+    focus: text(source.focus),
+    avoid: text(source.avoid),
+    tips: text(source.tips),
+    estimatedMinutes: Number.isFinite(minutes) && minutes > 0 ? Math.min(Math.max(1, Math.round(minutes)), MAX_MINUTES) : null
+  };
+}
+
+module.exports = { parsePlanResponse, normalizePlanStep, extractJson, MAX_OBJECTIVE_LENGTH };
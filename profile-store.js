@@ -0,0 +1,261 @@
+// File-backed learner profiles: a child's name and avatar (no passwords, these are not accounts) and
+// their progress through tutorials: when each was started, the step they were last on, when they
+// finished it and the practice drawings they saved. One JSON file per profile in the store directory;
+// the drawings themselves live in the asset storage like tutorial images
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const AVATARS = ['🐱', '🐶', '🦊', '🐼', '🦄', '🐸', '🐵', '🦁', '🐙', '🐢', '🐝', '🦖'];
+const MAX_NAME_LENGTH = 30;
+// Older drawings of the same tutorial are deleted once a child has saved this many
+const MAX_DRAWINGS_PER_TUTORIAL = 12;
+
+/**
+ * Validate the name and avatar of a new or renamed profile
+ * @param {Object} body - Request body with `name` and `avatar`
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Allow leaving fields out (for edits); new profiles need a name
+ * @returns {{ profile: Object|null, error: string|null }} The cleaned fields, or what is wrong with them
+ */
+function parseProfileInput(body = {}, { partial = false } = {}) {
+  const profile = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.replace(/\s+/g, ' ').trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { profile: null, error: `name must be between 1 and ${MAX_NAME_LENGTH} characters` };
+    }
+    profile.name = name;
+  }
+
+  if (body.avatar !== undefined) {
+    if (!AVATARS.includes(body.avatar)) {
+      return { profile: null, error: `avatar must be one of ${AVATARS.join(' ')}` };
+    }
+    profile.avatar = body.avatar;
+  } else if (!partial) {
+    profile.avatar = AVATARS[0];
+  }
+
+  return { profile, error: null };
+}
+
+/**
+ * Record where a child is in a tutorial; the first call marks it as started
+ * @param {Object} profile - Learner profile
+ * @param {string} tutorialId - Tutorial id
+ * @param {Object} update
+ * @param {number} update.currentStepIndex - Index of the step on screen, from 0
+ * @param {boolean} [update.completed] - The child reached the end; only the first completion is kept
+ * @returns {Object} The updated profile
+ */
+function recordProgress(profile, tutorialId, { currentStepIndex, completed = false }) {
+  const now = new Date().toISOString();
+  const previous = profile.progress[tutorialId] || { startedAt: now, completedAt: null, drawings: [] };
+  const entry = {
+    ...previous,
+    currentStepIndex,
+    furthestStepIndex: Math.max(previous.furthestStepIndex || 0, currentStepIndex),
+    completedAt: previous.completedAt || (completed ? now : null),
+    updatedAt: now
+  };
+  return { ...profile, progress: { ...profile.progress, [tutorialId]: entry } };
+}
+
+/**
+ * Add a saved practice drawing to a child's progress in a tutorial, dropping the oldest ones past the limit
+ * @param {Object} profile - Learner profile
+ * @param {string} tutorialId - Tutorial id
+ * @param {{ imageUrl: string, step: number|null, savedAt: string }} drawing
+ * @returns {{ profile: Object, droppedUrls: string[] }} The updated profile and the files no longer referenced
+ */
+function addDrawing(profile, tutorialId, drawing) {
+  const withEntry = profile.progress[tutorialId] ? profile : recordProgress(profile, tutorialId, { currentStepIndex: 0 });
+  const entry = withEntry.progress[tutorialId];
+  const drawings = [...entry.drawings, drawing];
+  const dropped = drawings.splice(0, Math.max(0, drawings.length - MAX_DRAWINGS_PER_TUTORIAL));
+  return {
+    profile: { ...withEntry, progress: { ...withEntry.progress, [tutorialId]: { ...entry, drawings } } },
+    droppedUrls: dropped.map(old => old.imageUrl)
+  };
+}
+
+/**
+ * Remove a tutorial from a child's progress, e.g. because the tutorial was deleted
+ * @param {Object} profile - Learner profile
+ * @param {string} tutorialId - Tutorial id
+ * @returns {{ profile: Object, droppedUrls: string[] }} The updated profile and the drawings it no longer refers to
+ */
+function forgetTutorial(profile, tutorialId) {
+  const { [tutorialId]: entry, ...progress } = profile.progress;
+  return {
+    profile: { ...profile, progress },
+    droppedUrls: entry ? entry.drawings.map(drawing => drawing.imageUrl) : []
+  };
+}
+
+/**
+ * List every asset URL a profile refers to (its saved drawings)
+ * @param {Object} profile - Learner profile
+ * @returns {string[]}
+ */
+function profileAssetUrls(profile) {
+  return Object.values(profile.progress || {}).flatMap(entry => entry.drawings.map(drawing => drawing.imageUrl));
+}
+
+/**
+ * Create a profile store
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the profiles
+ * @returns {Object} Store with save(), get(), update(), list(), listProfiles() and remove()
+ */
+function createProfileStore({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+  // Last pending change of each profile: changes wait for the one before, so two updates never read the
+  // same version and lose one of the changes, and a deleted profile isn't written back
+  const pending = new Map();
+
+  function profilePath(id) {
+    return path.join(directory, `${id}.json`);
+  }
+
+  function queue(id, task) {
+    const next = (pending.get(id) || Promise.resolve()).catch(() => {}).then(task);
+    pending.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (pending.get(id) === next) pending.delete(id);
+    });
+    return next;
+  }
+
+  /**
+   * Save a profile, assigning an id, timestamps and empty progress when missing
+   * @param {Object} profile - Learner profile
+   * @returns {Promise<Object>} The saved profile
+   */
+  async function save(profile) {
+    const now = new Date().toISOString();
+    const saved = {
+      ...profile,
+      id: profile.id || crypto.randomUUID(),
+      progress: profile.progress || {},
+      createdAt: profile.createdAt || now,
+      updatedAt: now
+    };
+
+    // Write to a temporary file first so a crash never leaves a half-written profile
+    const target = profilePath(saved.id);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(saved, null, 2));
+    await fs.promises.rename(temporary, target);
+    return saved;
+  }
+
+  /**
+   * Load a profile
+   * @param {string} id - Profile id
+   * @returns {Promise<Object|null>} The profile, or null if there is no such profile
+   */
+  async function get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(profilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a profile, one change at a time per profile
+   * @param {string} id - Profile id
+   * @param {Function} change - (profile) => the changed profile, or the same profile to leave it as it is; may be async
+   * @returns {Promise<Object|null>} The saved profile, or null if there is no such profile
+   */
+  function update(id, change) {
+    return queue(id, async () => {
+      const profile = await get(id);
+      if (!profile) {
+        return null;
+      }
+      const changed = await change(profile);
+      return changed === profile ? profile : save(changed);
+    });
+  }
+
+  /**
+   * Load every profile, skipping unreadable ones
+   * @returns {Promise<Object[]>} Full profiles, in no particular order
+   */
+  async function listProfiles() {
+    const files = await fs.promises.readdir(directory);
+    const profiles = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        profiles.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable profile ${file}:`, error.message);
+      }
+    }
+    return profiles;
+  }
+
+  /**
+   * List summaries of all profiles, by name
+   * @returns {Promise<Object[]>} Summaries with id, name, avatar, tutorials started and finished, and timestamps
+   */
+  async function list() {
+    const summaries = (await listProfiles()).map(profile => {
+      const entries = Object.values(profile.progress || {});
+      return {
+        id: profile.id,
+        name: profile.name,
+        avatar: profile.avatar,
+        tutorialsStarted: entries.length,
+        tutorialsCompleted: entries.filter(entry => entry.completedAt).length,
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt
+      };
+    });
+
+    return summaries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} id - Profile id
+   * @returns {Promise<Object|null>} The deleted profile, or null if there was none
+   */
+  function remove(id) {
+    return queue(id, async () => {
+      const profile = await get(id);
+      if (!profile) {
+        return null;
+      }
+      await fs.promises.unlink(profilePath(id));
+      return profile;
+    });
+  }
+
+  return { save, get, update, list, listProfiles, remove };
+}
+
+module.exports = {
+  createProfileStore,
+  parseProfileInput,
+  recordProgress,
+  addDrawing,
+  forgetTutorial,
+  profileAssetUrls,
+  AVATARS
+};
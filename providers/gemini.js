@@ -0,0 +1,67 @@
+// Gemini adapter for the model provider interface
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODELS = {
+  text: 'gemini-2.5-flash',
+  vision: 'gemini-2.5-flash',
+  image: 'gemini-2.5-flash-image-preview'
+};
+
+/**
+ * Create a provider backed by the Google Generative AI SDK
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {Object} [options.models] - Model name overrides for text, vision and image
+ * @returns {Object} Provider implementing generateText, analyzeImages and generateImage
+ */
+function createGeminiProvider({ apiKey, models = {} }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelNames = {
+    text: models.text || DEFAULT_MODELS.text,
+    vision: models.vision || DEFAULT_MODELS.vision,
+    image: models.image || DEFAULT_MODELS.image
+  };
+
+  // Send a prompt and any images to a model and return the raw response
+  async function generate(modelName, prompt, images, context = {}) {
+    const generationConfig = context.json ? { responseMimeType: 'application/json' } : undefined;
+    const model = genAI.getGenerativeModel({ model: modelName, generationConfig });
+    const content = [prompt, ...images.map(inlineData => ({ inlineData }))];
+    // The resilience wrapper aborts calls that time out
+    const result = await model.generateContent(content, { signal: context.signal });
+    return result.response;
+  }
+
+  return {
+    name: 'gemini',
+    models: modelNames,
+
+    async generateText(prompt, context) {
+      const response = await generate(modelNames.text, prompt, [], context);
+      return response.text();
+    },
+
+    async analyzeImages(prompt, images, context) {
+      const response = await generate(modelNames.vision, prompt, images, context);
+      return response.text();
+    },
+
+    // Returns { data, mimeType } for the first image in the response, or null if there is none
+    async generateImage(prompt, images = [], context = {}) {
+      const response = await generate(modelNames.image, prompt, images, { signal: context.signal });
+      const candidate = response.candidates && response.candidates[0];
+      if (candidate && candidate.content && candidate.content.parts) {
+        for (const part of candidate.content.parts) {
+          if (part.inlineData) {
+            return part.inlineData;
+          }
+        }
+      }
+      console.log('Gemini returned no image data, finish reason:', candidate ? candidate.finishReason : 'no candidates');
+      return null;
+    }
+  };
+}
+
+module.exports = { createGeminiProvider, DEFAULT_MODELS };
@@ -0,0 +1,82 @@
+// Model provider selection
+//
+// A provider exposes:
+//   name                                            - Provider id, e.g. 'gemini' or 'stub'
+//   models                                          - { text, vision, image } model names, recorded with each tutorial
+//   generateText(prompt, context)                   - Text-only prompt, resolves to a string
+//   analyzeImages(prompt, images, context)          - Prompt plus images, resolves to a string
+//   generateImage(prompt, images, context)          - Resolves to { data, mimeType } (base64) or null
+//
+// `images` are { data, mimeType } objects with base64 data. `context` describes the call
+// ({ task, step, totalSteps, ... }); real models ignore it, the stub uses it to pick canned answers.
+// The exceptions are `context.json`: text calls that set it get a JSON-only response where supported, and
+// `context.signal`, an AbortSignal that fires when the call timed out; providers should stop the request then.
+//
+// Every provider is wrapped by ./resilient, which adds timeouts, retries and a circuit breaker
+// and exposes circuit() for the health check.
+
+const { createGeminiProvider } = require('./gemini');
+const { createStubProvider } = require('./stub');
+const { createResilientProvider } = require('./resilient');
+
+// Read a positive number of seconds from the environment as milliseconds
+function secondsFromEnv(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+// Resilience settings from MODEL_* variables; unset ones keep the wrapper's defaults
+function resilienceOptions(env) {
+  const options = {
+    timeouts: {
+      text: secondsFromEnv(env.MODEL_TIMEOUT_SECONDS),
+      vision: secondsFromEnv(env.MODEL_TIMEOUT_SECONDS),
+      image: secondsFromEnv(env.MODEL_IMAGE_TIMEOUT_SECONDS)
+    },
+    maxAttempts: parseInt(env.MODEL_MAX_ATTEMPTS, 10) || undefined,
+    failureThreshold: parseInt(env.MODEL_BREAKER_THRESHOLD, 10) || undefined,
+    cooldownMs: secondsFromEnv(env.MODEL_BREAKER_COOLDOWN_SECONDS)
+  };
+  // Drop unset values so they don't override the defaults
+  Object.keys(options.timeouts).forEach(key => options.timeouts[key] === undefined && delete options.timeouts[key]);
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+  return options;
+}
+
+/**
+ * Create the provider named by MODEL_PROVIDER, falling back to the stub when no Gemini key is set
+ * @param {Object} env - Environment variables
+ * @returns {Object} Model provider, wrapped with timeouts, retries and a circuit breaker
+ */
+function createProvider(env = process.env) {
+  return createResilientProvider(createBaseProvider(env), resilienceOptions(env));
+}
+
+// Create the unwrapped provider named by MODEL_PROVIDER
+function createBaseProvider(env) {
+  const name = (env.MODEL_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'stub')).toLowerCase();
+
+  switch (name) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) {
+        throw new Error('MODEL_PROVIDER=gemini requires GEMINI_API_KEY');
+      }
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        models: {
+          text: env.GEMINI_TEXT_MODEL,
+          vision: env.GEMINI_VISION_MODEL,
+          image: env.GEMINI_IMAGE_MODEL
+        }
+      });
+    case 'stub':
+      if (!env.MODEL_PROVIDER) {
+        console.warn('GEMINI_API_KEY is not set, using the offline stub provider');
+      }
+      return createStubProvider();
+    default:
+      throw new Error(`Unknown MODEL_PROVIDER "${name}" (expected "gemini" or "stub")`);
+  }
+}
+
+module.exports = { createProvider };
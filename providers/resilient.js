@@ -0,0 +1,165 @@
+// Resilience wrapper for model providers: per-call timeouts, retries with exponential backoff
+// on rate limits and server errors, and a circuit breaker that fails fast while the provider is down
+//
+// Errors raised here carry a `code`:
+//   MODEL_TIMEOUT  - the call took longer than its timeout
+//   CIRCUIT_OPEN   - too many recent failures, the call was not attempted
+
+const DEFAULT_OPTIONS = {
+  timeouts: { text: 60000, vision: 60000, image: 120000 },
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// HTTP status of a provider error, if it has one (the Gemini SDK puts it on `status`)
+function errorStatus(error) {
+  if (typeof error.status === 'number') return error.status;
+  const match = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Whether a failed call is worth retrying: timeouts, network errors, 429 and 5xx responses
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.code === 'MODEL_TIMEOUT') return true;
+  const status = errorStatus(error);
+  if (status !== null) return status === 429 || status >= 500;
+  const cause = error.cause || {};
+  return RETRYABLE_NETWORK_CODES.includes(error.code) || RETRYABLE_NETWORK_CODES.includes(cause.code) ||
+    /fetch failed|network|socket hang up/i.test(error.message || '');
+}
+
+// A call that times out is aborted through `controller`, so a slow request isn't left running (and billed)
+// next to its own retry
+function withTimeout(promise, ms, label, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Reject first, so the call fails as timed out rather than with the provider's abort error
+      reject(createError(`${label} timed out after ${ms / 1000}s`, 'MODEL_TIMEOUT'));
+      controller.abort();
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wrap a provider so every call gets a timeout, retries and a shared circuit breaker
+ * @param {Object} provider - Provider implementing generateText, analyzeImages and generateImage
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} Provider with the same interface, plus circuit() describing the breaker state
+ */
+function createResilientProvider(provider, options = {}) {
+  const settings = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    timeouts: { ...DEFAULT_OPTIONS.timeouts, ...options.timeouts }
+  };
+
+  // Closed: calls go through. Open: calls fail fast until openUntil. Half-open: one trial call is let through.
+  const breaker = { state: 'closed', failures: 0, openUntil: 0, trialInFlight: false };
+
+  function checkBreaker() {
+    if (breaker.state === 'open' && Date.now() >= breaker.openUntil) {
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'open' || (breaker.state === 'half-open' && breaker.trialInFlight)) {
+      const seconds = Math.max(1, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+      throw createError(`The ${provider.name} model provider is unavailable, try again in ${seconds}s`, 'CIRCUIT_OPEN');
+    }
+    if (breaker.state === 'half-open') {
+      breaker.trialInFlight = true;
+    }
+  }
+
+  // Any answer from the provider, even a rejected request, shows it is reachable
+  function recordSuccess() {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+  }
+
+  function recordFailure() {
+    breaker.failures++;
+    breaker.trialInFlight = false;
+    if (breaker.state === 'half-open' || breaker.failures >= settings.failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.error(`Model provider "${provider.name}" failed ${breaker.failures} times, pausing calls for ${settings.cooldownMs / 1000}s`);
+      }
+      breaker.state = 'open';
+      breaker.openUntil = Date.now() + settings.cooldownMs;
+    }
+  }
+
+  // `args` end with the call's context, which gets the attempt's abort `signal`
+  async function call(kind, method, args) {
+    const label = `${provider.name} ${method}`;
+    for (let attempt = 1; ; attempt++) {
+      checkBreaker();
+      try {
+        const controller = new AbortController();
+        const context = { ...args[args.length - 1], signal: controller.signal };
+        const result = await withTimeout(provider[method](...args.slice(0, -1), context), settings.timeouts[kind], label, controller);
+        recordSuccess();
+        return result;
+      } catch (error) {
+        if (!isRetryable(error)) {
+          // Bad requests and safety blocks aren't worth retrying, but the provider did answer
+          recordSuccess();
+          throw error;
+        }
+        recordFailure();
+        if (attempt >= settings.maxAttempts || breaker.state === 'open') {
+          throw error;
+        }
+        // Exponential backoff with full jitter
+        const delay = Math.random() * Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+        console.log(`${label} failed (${error.message}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${settings.maxAttempts})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    name: provider.name,
+    models: provider.models,
+
+    generateText(prompt, context) {
+      return call('text', 'generateText', [prompt, context]);
+    },
+
+    analyzeImages(prompt, images, context) {
+      return call('vision', 'analyzeImages', [prompt, images, context]);
+    },
+
+    generateImage(prompt, images, context) {
+      return call('image', 'generateImage', [prompt, images, context]);
+    },
+
+    circuit() {
+      return {
+        state: breaker.state === 'open' && Date.now() >= breaker.openUntil ? 'half-open' : breaker.state,
+        failures: breaker.failures,
+        openUntil: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = { createResilientProvider, isRetryable, DEFAULT_OPTIONS };
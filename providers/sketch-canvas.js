@@ -0,0 +1,140 @@
+// Minimal grayscale canvas and PNG encoder used by the stub provider to draw placeholder sketches
+// Only uses Node built-ins so the stub works without any extra packages
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table used for PNG chunk checksums
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Create a white grayscale canvas
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} Canvas with width, height and one byte per pixel
+ */
+function createCanvas(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height).fill(255) };
+}
+
+// Darken a round "pencil tip" around a point
+function stamp(canvas, x, y, radius, shade) {
+  const r = Math.ceil(radius);
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      if (dx * dx + dy * dy > radius * radius) continue;
+      const px = Math.round(x + dx);
+      const py = Math.round(y + dy);
+      if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) continue;
+      const index = py * canvas.width + px;
+      canvas.pixels[index] = Math.min(canvas.pixels[index], shade);
+    }
+  }
+}
+
+function drawLine(canvas, x0, y0, x1, y1, { width = 3, shade = 60 } = {}) {
+  const distance = Math.hypot(x1 - x0, y1 - y0);
+  const count = Math.max(1, Math.ceil(distance));
+  for (let i = 0; i <= count; i++) {
+    const t = i / count;
+    stamp(canvas, x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, width / 2, shade);
+  }
+}
+
+function drawEllipse(canvas, cx, cy, rx, ry, options) {
+  const segments = Math.max(24, Math.ceil((rx + ry) / 2));
+  for (let i = 0; i < segments; i++) {
+    const a0 = (i / segments) * Math.PI * 2;
+    const a1 = ((i + 1) / segments) * Math.PI * 2;
+    drawLine(canvas,
+      cx + Math.cos(a0) * rx, cy + Math.sin(a0) * ry,
+      cx + Math.cos(a1) * rx, cy + Math.sin(a1) * ry,
+      options);
+  }
+}
+
+/**
+ * Encode a canvas as a grayscale PNG
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {Object} [text] - Key/value pairs stored as tEXt chunks
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(canvas, text = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(canvas.width, 0);
+  header.writeUInt32BE(canvas.height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 0; // Color type: grayscale
+
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((canvas.width + 1) * canvas.height);
+  for (let y = 0; y < canvas.height; y++) {
+    const rowStart = y * (canvas.width + 1);
+    raw[rowStart] = 0;
+    raw.set(canvas.pixels.subarray(y * canvas.width, (y + 1) * canvas.width), rowStart + 1);
+  }
+
+  const textChunks = Object.entries(text).map(([key, value]) =>
+    createChunk('tEXt', Buffer.from(`${key}\0${value}`, 'latin1'))
+  );
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    ...textChunks,
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Read the tEXt chunks of a PNG
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object} Key/value pairs, empty if the buffer is not a PNG
+ */
+function readPngText(buffer) {
+  const text = {};
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return text;
+  }
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (type === 'tEXt') {
+      const data = buffer.subarray(offset + 8, offset + 8 + length).toString('latin1');
+      const separator = data.indexOf('\0');
+      text[data.slice(0, separator)] = data.slice(separator + 1);
+    }
+    if (type === 'IEND') break;
+    offset += length + 12;
+  }
+  return text;
+}
+
+module.exports = { createCanvas, drawLine, drawEllipse, encodePng, readPngText };
@@ -0,0 +1,179 @@
+// Offline stub provider: deterministic placeholder sketches and canned text, no network or API key needed
+// Every sketch is the same friendly cat, jittered by a seed derived from the inputs, so the same
+// upload always produces the same sketch and each step draws a few more of its parts
+
+const crypto = require('crypto');
+const { createCanvas, drawLine, drawEllipse, encodePng, readPngText } = require('./sketch-canvas');
+
+const CANVAS_SIZE = 512;
+
+// Parts of the placeholder drawing, in the order a child would draw them
+const PARTS = [
+  { label: 'Draw a big oval for the body', draw: (c, j) => drawEllipse(c, 256 + j(8), 330 + j(8), 120 + j(10), 80 + j(8)) },
+  { label: 'Draw a circle for the head', draw: (c, j) => drawEllipse(c, 256 + j(6), 180 + j(6), 70 + j(6), 66 + j(6)) },
+  {
+    label: 'Add a pointy left ear',
+    draw: (c, j) => {
+      const tip = [190 + j(6), 80 + j(8)];
+      drawLine(c, 200, 140, ...tip);
+      drawLine(c, ...tip, 235, 118);
+    }
+  },
+  {
+    label: 'Add a pointy right ear',
+    draw: (c, j) => {
+      const tip = [322 + j(6), 80 + j(8)];
+      drawLine(c, 312, 140, ...tip);
+      drawLine(c, ...tip, 277, 118);
+    }
+  },
+  { label: 'Draw a small circle for the left eye', draw: c => drawEllipse(c, 228, 170, 12, 12) },
+  { label: 'Draw a small circle for the right eye', draw: c => drawEllipse(c, 284, 170, 12, 12) },
+  { label: 'Add a little oval for the nose', draw: (c, j) => drawEllipse(c, 256, 198 + j(2), 8, 5) },
+  { label: 'Draw the smile under the nose', draw: c => { drawLine(c, 256, 204, 244, 214); drawLine(c, 256, 204, 268, 214); } },
+  { label: 'Draw the front left leg', draw: (c, j) => { drawLine(c, 200, 380, 196 + j(4), 450); drawLine(c, 222, 390, 218 + j(4), 450); } },
+  { label: 'Draw the front right leg', draw: (c, j) => { drawLine(c, 290, 390, 294 + j(4), 450); drawLine(c, 312, 380, 316 + j(4), 450); } },
+  { label: 'Draw the back left leg', draw: (c, j) => { drawLine(c, 150, 360, 144 + j(4), 440); drawLine(c, 172, 375, 166 + j(4), 440); } },
+  { label: 'Draw the back right leg', draw: (c, j) => { drawLine(c, 340, 375, 346 + j(4), 440); drawLine(c, 362, 360, 368 + j(4), 440); } },
+  {
+    label: 'Add a curly tail',
+    draw: (c, j) => {
+      const lift = j(15);
+      drawLine(c, 372, 320, 420, 300 + lift);
+      drawLine(c, 420, 300 + lift, 440, 250 + lift);
+      drawLine(c, 440, 250 + lift, 425, 215 + lift);
+    }
+  },
+  { label: 'Add whiskers on the left side', draw: (c, j) => { drawLine(c, 236, 200, 170, 190 + j(5)); drawLine(c, 236, 206, 170, 212 + j(5)); } },
+  { label: 'Add whiskers on the right side', draw: (c, j) => { drawLine(c, 276, 200, 342, 190 + j(5)); drawLine(c, 276, 206, 342, 212 + j(5)); } },
+  { label: 'Draw a curved line for the tummy', draw: (c, j) => drawEllipse(c, 256, 350 + j(4), 60, 30, { width: 2, shade: 110 }) },
+  { label: 'Fill in the left pupil', draw: c => drawEllipse(c, 228, 172, 3, 3, { width: 5 }) },
+  { label: 'Fill in the right pupil', draw: c => drawEllipse(c, 284, 172, 3, 3, { width: 5 }) },
+  { label: 'Draw a line for the ground', draw: (c, j) => drawLine(c, 90, 455 + j(3), 422, 455 + j(3), { width: 2, shade: 130 }) },
+  {
+    label: 'Add a few short lines for fur on the back',
+    draw: (c, j) => {
+      for (let i = 0; i < 3; i++) {
+        const x = 200 + i * 40 + j(5);
+        drawLine(c, x, 262, x + 8, 250, { width: 2, shade: 110 });
+      }
+    }
+  }
+];
+
+// Small seeded pseudo-random generator (mulberry32), returns jitter in [-range, range]
+function createJitter(seed) {
+  let state = seed >>> 0;
+  return range => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.round((random * 2 - 1) * range);
+  };
+}
+
+function hashSeed(prompt, images) {
+  const hash = crypto.createHash('sha256').update(prompt);
+  images.forEach(image => hash.update(image.data));
+  return hash.digest().readUInt32BE(0);
+}
+
+// Draw the first `partCount` parts of the placeholder drawing
+function drawSketch(seed, partCount) {
+  const canvas = createCanvas(CANVAS_SIZE, CANVAS_SIZE);
+  PARTS.slice(0, partCount).forEach((part, index) => {
+    // Each part has its own jitter sequence so earlier parts don't move between steps
+    part.draw(canvas, createJitter(seed + index));
+  });
+  const png = encodePng(canvas, { 'stub-seed': String(seed) });
+  return { data: png.toString('base64'), mimeType: 'image/png' };
+}
+
+// Parts assigned to a step when the drawing is split into `totalSteps` steps
+function partsForStep(step, totalSteps) {
+  const start = Math.floor(((step - 1) * PARTS.length) / totalSteps);
+  const end = Math.floor((step * PARTS.length) / totalSteps);
+  return PARTS.slice(start, Math.max(end, start + 1));
+}
+
+// Plan in the JSON shape described in plan-schema.js
+function cannedPlan(totalSteps) {
+  const steps = [];
+  for (let step = 1; step <= totalSteps; step++) {
+    const parts = partsForStep(step, totalSteps);
+    const labels = parts.map((part, index) =>
+      index === 0 ? part.label : part.label.charAt(0).toLowerCase() + part.label.slice(1)
+    );
+    const nextPart = PARTS[PARTS.indexOf(parts[parts.length - 1]) + 1];
+    steps.push({
+      objective: `${labels.join(', then ')}.`,
+      focus: `Only the ${parts.length > 1 ? 'parts' : 'part'} named in this step`,
+      avoid: nextPart ? `Don't start the next part yet (${nextPart.label.toLowerCase()})` : 'Nothing new after this, the drawing is finished',
+      tips: step === 1 ? 'Press lightly with your pencil so you can fix lines later.' : 'Take your time and look at the picture before you draw.',
+      estimatedMinutes: parts.length + 1
+    });
+  }
+  return JSON.stringify({ steps }, null, 2);
+}
+
+/**
+ * Create the offline stub provider
+ * Helpers pass a `task` (plus step details) in the context argument so the stub can pick a canned answer
+ * @returns {Object} Provider implementing generateText, analyzeImages and generateImage
+ */
+function createStubProvider() {
+  function cannedText(context) {
+    switch (context.task) {
+      case 'describe':
+        return 'A friendly cartoon cat sitting on the ground. It has a round head with two pointy ears, big round eyes, a small nose, whiskers, an oval body, four short legs and a curly tail.';
+      case 'step-count': {
+        // Pick the middle of the allowed range, the way a model would for a moderately detailed drawing
+        const { min = 8, max = 20 } = context.range || {};
+        return JSON.stringify({ steps: Math.round((min + max) / 2), reason: 'The cat has a handful of simple shapes to draw one at a time.' });
+      }
+      case 'plan':
+        return cannedPlan(context.totalSteps || 10);
+      case 'feedback':
+        return JSON.stringify({
+          feedback: 'What a lovely drawing! Your lines are nice and clear.',
+          suggestion: 'Look at the picture again and check the size of each part.',
+          readyForNext: true
+        });
+      case 'step-check':
+        return JSON.stringify({ objectiveAdded: true, onlyObjectiveAdded: true, keptPreviousWork: true, problem: '' });
+      case 'step-text':
+        return partsForStep(context.step || 1, context.totalSteps || PARTS.length)[0].label + '.';
+      default:
+        return 'This is a placeholder response from the offline stub provider.';
+    }
+  }
+
+  return {
+    name: 'stub',
+    models: { text: 'stub-text', vision: 'stub-vision', image: 'stub-sketch' },
+
+    async generateText(prompt, context = {}) {
+      return cannedText(context);
+    },
+
+    async analyzeImages(prompt, images, context = {}) {
+      return cannedText(context);
+    },
+
+    async generateImage(prompt, images = [], context = {}) {
+      if (context.task === 'step-image' && images.length > 0) {
+        // Redraw the reference sketch's own seed so steps line up with it
+        const { 'stub-seed': storedSeed } = readPngText(Buffer.from(images[0].data, 'base64'));
+        const seed = storedSeed ? Number(storedSeed) : hashSeed('', images.slice(0, 1));
+        const totalSteps = context.totalSteps || PARTS.length;
+        const lastPart = partsForStep(context.step || 1, totalSteps).slice(-1)[0];
+        return drawSketch(seed, PARTS.indexOf(lastPart) + 1);
+      }
+      return drawSketch(hashSeed(prompt, images), PARTS.length);
+    }
+  };
+}
+
+module.exports = { createStubProvider };
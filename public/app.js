@@ -2,17 +2,82 @@
 const uploadForm = document.getElementById('upload-form');
 const uploadSection = document.getElementById('upload-section');
 const tutorialSection = document.getElementById('tutorial-section');
+const librarySection = document.getElementById('library-section');
+const profileSection = document.getElementById('profile-section');
+const planSection = document.getElementById('plan-section');
+const tutorialList = document.getElementById('tutorial-list');
+const libraryEmpty = document.getElementById('library-empty');
 const loadingElement = document.getElementById('loading');
+const loadingStatus = document.getElementById('loading-status');
 const generateBtn = document.getElementById('generate-btn');
+const languageSelect = document.getElementById('language-select');
+
+// Tutorial Source Elements (an uploaded picture or a text prompt)
+const imageTab = document.getElementById('image-tab');
+const promptTab = document.getElementById('prompt-tab');
+const imagePanel = document.getElementById('image-panel');
+const promptPanel = document.getElementById('prompt-panel');
+const imageInput = document.getElementById('image');
+const promptInput = document.getElementById('prompt');
+const stepPreferenceSelect = document.getElementById('step-preference');
+const stepCountInput = document.getElementById('step-count');
 
 // Tutorial Elements
 const sketchDescription = document.getElementById('sketch-description');
+const stepCountReason = document.getElementById('step-count-reason');
 const stepTitle = document.getElementById('step-title');
 const stepDescription = document.getElementById('step-description');
 const stepIndicator = document.getElementById('step-indicator');
 const prevStepBtn = document.getElementById('prev-step');
 const nextStepBtn = document.getElementById('next-step');
 const newTutorialBtn = document.getElementById('new-tutorial-btn');
+const stepAnnouncer = document.getElementById('step-announcer');
+
+// Plan Review Elements
+const reviewPlanToggle = document.getElementById('review-plan');
+const freshVariationToggle = document.getElementById('fresh-variation');
+const planSketch = document.getElementById('plan-sketch');
+const planDescription = document.getElementById('plan-description');
+const planStepReason = document.getElementById('plan-step-reason');
+const planStepsList = document.getElementById('plan-steps');
+const addPlanStepBtn = document.getElementById('add-plan-step-btn');
+const renderPlanBtn = document.getElementById('render-plan-btn');
+const closePlanBtn = document.getElementById('close-plan-btn');
+
+// Narration Elements
+const playSketchAudioBtn = document.getElementById('play-sketch-audio');
+const stepAudioControls = document.getElementById('step-audio-controls');
+const playStepAudioBtn = document.getElementById('play-step-audio');
+const replayStepAudioBtn = document.getElementById('replay-step-audio');
+const autoNarrateToggle = document.getElementById('auto-narrate');
+const showNewLinesToggle = document.getElementById('show-new-lines');
+
+// Step Redo Elements
+const redoControls = document.getElementById('redo-controls');
+const redoStepBtn = document.getElementById('redo-step-btn');
+const redoCascadeToggle = document.getElementById('redo-cascade');
+
+// Drawing Check-in Elements
+const checkInControls = document.getElementById('check-in-controls');
+const checkInInput = document.getElementById('check-in-input');
+const checkInRequiredToggle = document.getElementById('check-in-required');
+const checkInResult = document.getElementById('check-in-result');
+
+// Practice Canvas Elements
+const practiceToggle = document.getElementById('practice-toggle');
+const practicePanel = document.getElementById('practice-panel');
+const practiceDownloadBtn = document.getElementById('practice-download-btn');
+const practiceSaveBtn = document.getElementById('practice-save-btn');
+const practiceStatus = document.getElementById('practice-status');
+
+// Worksheet Export Elements
+const exportControls = document.getElementById('export-controls');
+const exportPageSizeSelect = document.getElementById('export-page-size');
+const exportStepsPerPageSelect = document.getElementById('export-steps-per-page');
+const exportPracticeBoxToggle = document.getElementById('export-practice-box');
+const exportPdfBtn = document.getElementById('export-pdf-btn');
+const exportBundleBtn = document.getElementById('export-bundle-btn');
+const importBundleInput = document.getElementById('import-bundle-input');
 
 
 
@@ -20,71 +85,692 @@ const newTutorialBtn = document.getElementById('new-tutorial-btn');
 const sketchImagePlaceholder = document.querySelector('#sketch-preview .image-placeholder');
 const stepImagePlaceholder = document.querySelector('#current-step .image-placeholder');
 
+// Step picture viewer (single, wipe or onion skin, with zoom) in place of the step placeholder
+const stepViewer = createStepViewer({
+    container: stepImagePlaceholder,
+    controls: document.getElementById('step-viewer-controls')
+});
+
+// The child's own drawing; it carries over from step to step, and the current step can be traced
+const practiceCanvas = createPracticeCanvas({
+    canvas: document.getElementById('practice-canvas'),
+    controls: document.getElementById('practice-controls'),
+    tracingImage: document.getElementById('practice-tracing'),
+    onChange: () => {
+        practiceStatus.textContent = '';
+        updatePracticeControls();
+    }
+});
+
+// Who is drawing, with their progress dashboard; "Resume" reopens a tutorial where the child left it
+const profilePanel = createProfilePanel({
+    section: profileSection,
+    onResume: openTutorial
+});
+
+// Narration playback, shared by the sketch and the steps
+const narrationAudio = new Audio();
+let narrationUrl = null;
+
+// Slideshow through the steps, on a timer or after each narration, optionally full screen
+const slideshow = createSlideshow({
+    controls: document.getElementById('slideshow-controls'),
+    stage: document.getElementById('step-presentation'),
+    narration: narrationAudio,
+    advance: advanceSlideshow,
+    onStart: narrateCurrentStep
+});
+
 // Tutorial Data
+// While a job is running, tutorialData.generating is true and steps arrive one at a time
 let tutorialData = null;
 let currentStepIndex = 0;
+let jobStream = null;
+// Last step text given to screen readers, so refreshes of the same step aren't read out again
+let lastAnnouncement = null;
+
+// Draft tutorial and the step objectives being edited in the plan review
+let planDraft = null;
+let planSteps = [];
+
+// Steps are only narrated on their own when the child asked for it
+autoNarrateToggle.checked = localStorage.getItem('autoNarrate') === 'true';
+
+// New lines of each step are highlighted unless the child turned it off
+showNewLinesToggle.checked = localStorage.getItem('showNewLines') !== 'false';
+stepViewer.setOverlayVisible(showNewLinesToggle.checked);
+
+// Feedback on the child's drawings, by step number; with the toggle on, Next waits for a "ready" check-in
+let checkIns = {};
+let checkingIn = false;
+checkInRequiredToggle.checked = localStorage.getItem('checkInRequired') === 'true';
+
+// The practice canvas stays open across tutorials once the child opened it
+let savingPractice = false;
+setPracticeOpen(localStorage.getItem('practiceOpen') === 'true');
 
 // Event Listeners
 uploadForm.addEventListener('submit', handleFormSubmit);
+languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
+imageTab.addEventListener('click', () => selectSourceTab('image'));
+promptTab.addEventListener('click', () => selectSourceTab('prompt'));
+stepPreferenceSelect.addEventListener('change', () => {
+    stepCountInput.classList.toggle('hidden', stepPreferenceSelect.value !== 'exact');
+});
 prevStepBtn.addEventListener('click', showPrevStep);
 nextStepBtn.addEventListener('click', showNextStep);
 newTutorialBtn.addEventListener('click', resetTutorial);
+playSketchAudioBtn.addEventListener('click', () => toggleNarration(tutorialData.sketch.audio));
+playStepAudioBtn.addEventListener('click', () => toggleNarration(currentStepAudio()));
+replayStepAudioBtn.addEventListener('click', () => playNarration(currentStepAudio(), true));
+autoNarrateToggle.addEventListener('change', () => {
+    localStorage.setItem('autoNarrate', autoNarrateToggle.checked);
+});
+showNewLinesToggle.addEventListener('change', () => {
+    localStorage.setItem('showNewLines', showNewLinesToggle.checked);
+    stepViewer.setOverlayVisible(showNewLinesToggle.checked);
+});
+redoStepBtn.addEventListener('click', redoCurrentStep);
+checkInInput.addEventListener('change', submitCheckIn);
+checkInRequiredToggle.addEventListener('change', () => {
+    localStorage.setItem('checkInRequired', checkInRequiredToggle.checked);
+    updateNavigationButtons();
+});
+practiceToggle.addEventListener('click', () => {
+    setPracticeOpen(practicePanel.classList.contains('hidden'));
+    localStorage.setItem('practiceOpen', !practicePanel.classList.contains('hidden'));
+});
+practiceDownloadBtn.addEventListener('click', downloadPractice);
+practiceSaveBtn.addEventListener('click', savePractice);
+exportPdfBtn.addEventListener('click', exportWorksheet);
+exportBundleBtn.addEventListener('click', () => {
+    window.location.href = `/api/tutorials/${tutorialData.id}/bundle.zip`;
+});
+importBundleInput.addEventListener('change', importBundle);
+document.addEventListener('keydown', handleTutorialShortcut);
+addPlanStepBtn.addEventListener('click', () => {
+    planSteps.push({ objective: '' });
+    renderPlanEditor();
+    planStepsList.lastElementChild.querySelector('textarea').focus();
+});
+renderPlanBtn.addEventListener('click', renderApprovedPlan);
+closePlanBtn.addEventListener('click', closePlanEditor);
+['play', 'pause', 'ended'].forEach(event => narrationAudio.addEventListener(event, updateAudioButtons));
 
 
+// Switch the form between uploading a picture and describing the drawing in words
+function selectSourceTab(mode) {
+    const describing = mode === 'prompt';
+    imageTab.classList.toggle('active', !describing);
+    promptTab.classList.toggle('active', describing);
+    imageTab.setAttribute('aria-selected', !describing);
+    promptTab.setAttribute('aria-selected', describing);
+    imagePanel.classList.toggle('hidden', describing);
+    promptPanel.classList.toggle('hidden', !describing);
+    imageInput.required = !describing;
+    promptInput.required = describing;
+    (describing ? promptInput : imageInput).focus();
+}
+
 // Handle form submission
 async function handleFormSubmit(e) {
     e.preventDefault();
     
     const formData = new FormData();
-    const imageFile = document.getElementById('image').files[0];
+    const describing = !promptPanel.classList.contains('hidden');
+    const imageFile = imageInput.files[0];
+    const prompt = promptInput.value.trim();
     const difficulty = document.getElementById('difficulty').value;
     
-    if (!imageFile) {
-        alert('Please select an image');
+    if (describing && !prompt) {
+        alert(t('upload.missingPrompt'));
+        return;
+    }
+    
+    if (!describing && !imageFile) {
+        alert(t('upload.missingImage'));
         return;
     }
     
     if (!difficulty) {
-        alert('Please select a difficulty level');
+        alert(t('upload.missingDifficulty'));
+        return;
+    }
+    
+    const exactSteps = stepPreferenceSelect.value === 'exact';
+    if (exactSteps && !stepCountInput.checkValidity()) {
+        alert(t('upload.invalidStepCount', { min: stepCountInput.min, max: stepCountInput.max }));
         return;
     }
     
-    formData.append('image', imageFile);
+    // Only the active tab is sent, the server takes an image or a prompt but not both
+    if (describing) {
+        formData.append('prompt', prompt);
+    } else {
+        formData.append('image', imageFile);
+    }
     formData.append('difficulty', difficulty);
+    // New tutorials are written and narrated in the language the page is shown in
+    formData.append('language', currentLanguage);
+    if (exactSteps) {
+        formData.append('steps', stepCountInput.value);
+    } else {
+        formData.append('stepPreference', stepPreferenceSelect.value);
+    }
+    formData.append('force', freshVariationToggle.checked);
+    const reviewPlan = reviewPlanToggle.checked;
     
     // Show loading state
-    uploadSection.classList.add('hidden');
+    uploadForm.classList.add('hidden');
     loadingElement.classList.remove('hidden');
+    loadingStatus.textContent = t('job.queued');
     generateBtn.disabled = true;
     
     try {
-        // Send request to backend
-        const response = await fetch('/api/generate-tutorial', {
+        // Queue the tutorial (or only its plan) on the backend
+        const response = await fetch(reviewPlan ? '/api/plan-tutorial' : '/api/generate-tutorial', {
             method: 'POST',
             body: formData
         });
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            // Upload problems (not an image, too large) explain themselves in details
+            throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
         }
         
-        tutorialData = await response.json();
+        const { jobId } = await response.json();
+        if (reviewPlan) {
+            openPlanEditor(await streamJob(jobId, { live: false }));
+        } else {
+            await streamJob(jobId);
+        }
+    } catch (error) {
+        console.error('Error generating tutorial:', error);
+        alert(t('upload.error', { message: error.message }));
+        
+        // Keep any steps that already arrived; otherwise go back to the form
+        if (tutorialData) {
+            tutorialData.generating = false;
+            updateStepDisplay();
+            updateNavigationButtons();
+        } else {
+            loadingElement.classList.add('hidden');
+            uploadForm.classList.remove('hidden');
+            generateBtn.disabled = false;
+        }
+    }
+}
+
+// Follow a generation job over Server-Sent Events and resolve with its result
+// When live, the tutorial is shown as soon as the sketch exists and steps appear as they are drawn
+function streamJob(jobId, { live = true } = {}) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+        jobStream = source;
+        
+        const finish = () => {
+            source.close();
+            jobStream = null;
+        };
+        
+        const complete = result => {
+            finish();
+            if (live) {
+                applyJobResult(result, false);
+            }
+            resolve(result);
+        };
+        
+        const fail = message => {
+            finish();
+            reject(new Error(message || t('job.failed')));
+        };
+        
+        // Sent on every (re)connect, so it also resynchronizes after a dropped connection
+        source.addEventListener('snapshot', e => {
+            const job = JSON.parse(e.data);
+            if (job.state === 'done') return complete(job.result);
+            if (job.state === 'failed') return fail(job.error);
+            
+            loadingStatus.textContent = describeJobState(job);
+            if (live && job.result && job.result.sketch) {
+                applyJobResult(job.result, true);
+            }
+        });
+        
+        source.addEventListener('state', e => {
+            loadingStatus.textContent = describeJobState(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('sketch', e => {
+            if (!live) return;
+            applyJobResult({ sketch: JSON.parse(e.data), steps: [] }, true);
+        });
+        
+        source.addEventListener('plan', e => {
+            if (!live) return;
+            const { totalSteps, reason } = JSON.parse(e.data);
+            tutorialData.totalSteps = totalSteps;
+            tutorialData.stepCountReason = reason;
+            stepCountReason.textContent = describeStepCount(totalSteps, reason);
+            updateStepDisplay();
+            updateNavigationButtons();
+        });
+        
+        // New steps are appended; regenerated steps replace the old version
+        source.addEventListener('step', e => {
+            if (!live) return;
+            const step = JSON.parse(e.data);
+            tutorialData.steps[step.step - 1] = step;
+            // Only redraw when the child is looking at this step
+            if (step.step - 1 === currentStepIndex) {
+                updateStepDisplay();
+                narrateCurrentStep();
+            }
+            updateNavigationButtons();
+        });
         
-        // Show tutorial section
-        loadingElement.classList.add('hidden');
-        tutorialSection.classList.remove('hidden');
+        source.addEventListener('done', e => complete(JSON.parse(e.data)));
+        source.addEventListener('failed', e => fail(JSON.parse(e.data)));
         
-        // Initialize tutorial
-        initializeTutorial();
+        source.onerror = () => {
+            // The browser retries on its own unless the stream was closed for good
+            if (source.readyState === EventSource.CLOSED) {
+                fail(t('job.connectionLost'));
+            }
+        };
+    });
+}
+
+// Show (or refresh) the tutorial from a partial or final job result
+function applyJobResult(result, generating) {
+    const isFirstResult = !tutorialData;
+    
+    tutorialData = {
+        ...result,
+        steps: result.steps || [],
+        totalSteps: (result.plan && result.plan.length) || (tutorialData && tutorialData.totalSteps) || null,
+        generating
+    };
+    if (!generating) {
+        tutorialData.totalSteps = tutorialData.steps.length;
+    }
+    
+    if (isFirstResult) {
+        checkIns = {};
+        showTutorialSection();
+    } else {
+        updateStepDisplay();
+        updateNavigationButtons();
+    }
+}
+
+// Turn a job state into a short message for the loading screen
+function describeJobState(job) {
+    switch (job.state) {
+        case 'queued':
+            return job.queuePosition > 1 ? t('job.queuedPosition', { position: job.queuePosition }) : t('job.queued');
+        case 'sketching':
+            return t('job.sketching');
+        case 'planning':
+            return t('job.planning');
+        case 'rendering':
+            // A step that failed its quality checks is being drawn again
+            if (job.progress.attempt > 1) {
+                return t('job.retrying', { step: job.progress.step, total: job.progress.totalSteps, attempt: job.progress.attempt });
+            }
+            return t('job.rendering', { step: job.progress.step, total: job.progress.totalSteps });
+        default:
+            return '';
+    }
+}
+
+// Swap the upload form and library for the tutorial view
+function showTutorialSection() {
+    loadingElement.classList.add('hidden');
+    uploadSection.classList.add('hidden');
+    librarySection.classList.add('hidden');
+    profileSection.classList.add('hidden');
+    planSection.classList.add('hidden');
+    uploadForm.classList.remove('hidden');
+    tutorialSection.classList.remove('hidden');
+    
+    // Initialize tutorial
+    initializeTutorial();
+}
+
+// Fetch saved tutorials and show them in "My Tutorials"
+async function loadLibrary() {
+    try {
+        const response = await fetch('/api/tutorials');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { tutorials } = await response.json();
+        renderLibrary(tutorials);
     } catch (error) {
-        console.error('Error generating tutorial:', error);
-        alert(`Error generating tutorial: ${error.message}`);
+        console.warn('Could not load saved tutorials:', error);
+    }
+}
+
+// Translated name of a difficulty level; unknown levels are shown as they are
+function difficultyName(level) {
+    const key = `difficulty.${String(level).toLowerCase()}`;
+    const name = t(key);
+    return name === key ? level : name;
+}
+
+// Render one card per saved tutorial
+function renderLibrary(tutorials) {
+    tutorialList.innerHTML = '';
+    libraryEmpty.classList.toggle('hidden', tutorials.length > 0);
+    
+    tutorials.forEach(tutorial => {
+        const card = document.createElement('li');
+        card.classList.add('tutorial-card');
+        card.addEventListener('click', () => openTutorial(tutorial.id));
+        if (tutorial.status === 'draft') {
+            card.classList.add('draft');
+        }
         
-        // Reset UI
-        loadingElement.classList.add('hidden');
-        uploadSection.classList.remove('hidden');
-        generateBtn.disabled = false;
+        if (tutorial.thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = tutorial.thumbnailUrl;
+            img.alt = tutorial.title || t('library.sketchAlt');
+            card.appendChild(img);
+        }
+        
+        const body = document.createElement('div');
+        body.classList.add('card-body');
+        const title = document.createElement('p');
+        title.classList.add('card-title');
+        title.textContent = tutorial.title || t('library.untitled');
+        const meta = document.createElement('p');
+        meta.classList.add('card-meta');
+        meta.textContent = `${difficultyName(tutorial.difficulty)} · ${tCount('library.stepCount', tutorial.stepCount)} · ${new Date(tutorial.createdAt).toLocaleDateString(currentLanguage)}`;
+        if (tutorial.status === 'draft') {
+            const badge = document.createElement('span');
+            badge.classList.add('draft-badge');
+            badge.textContent = t('library.planOnly');
+            meta.appendChild(badge);
+        }
+        body.appendChild(title);
+        body.appendChild(meta);
+        card.appendChild(body);
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.classList.add('delete-btn');
+        deleteBtn.textContent = t('library.delete');
+        deleteBtn.addEventListener('click', e => {
+            e.stopPropagation();
+            deleteTutorial(tutorial.id);
+        });
+        card.appendChild(deleteBtn);
+        
+        tutorialList.appendChild(card);
+    });
+}
+
+// Reopen a saved tutorial
+async function openTutorial(id) {
+    try {
+        const response = await fetch(`/api/tutorials/${id}`);
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        const tutorial = await response.json();
+        if (tutorial.status === 'draft') {
+            openPlanEditor(tutorial);
+            return;
+        }
+        tutorialData = { ...tutorial, totalSteps: tutorial.steps.length, generating: false };
+        showTutorialSection();
+    } catch (error) {
+        console.error('Error opening tutorial:', error);
+        alert(t('library.openError', { message: error.message }));
+    }
+}
+
+// Delete a saved tutorial after confirming
+async function deleteTutorial(id) {
+    if (!confirm(t('library.confirmDelete'))) return;
+    
+    try {
+        const response = await fetch(`/api/tutorials/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        loadLibrary();
+        // Its progress and drawings are gone from the profiles too
+        profilePanel.refresh();
+    } catch (error) {
+        console.error('Error deleting tutorial:', error);
+        alert(t('library.deleteError', { message: error.message }));
+    }
+}
+
+// Add a tutorial bundle exported from another machine to the library
+async function importBundle() {
+    const file = importBundleInput.files[0];
+    if (!file) return;
+    
+    const formData = new FormData();
+    formData.append('bundle', file);
+    
+    try {
+        const response = await fetch('/api/tutorials/import', {
+            method: 'POST',
+            body: formData
+        });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        loadLibrary();
+    } catch (error) {
+        console.error('Error importing tutorial:', error);
+        alert(t('library.importError', { message: error.message }));
+    } finally {
+        // Allow importing the same file again
+        importBundleInput.value = '';
+    }
+}
+
+// Show the plan review for a draft tutorial
+function openPlanEditor(draft) {
+    planDraft = draft;
+    // Older drafts stored plain objective strings
+    planSteps = draft.plan.map(step => (typeof step === 'string' ? { objective: step } : { ...step }));
+    
+    loadingElement.classList.add('hidden');
+    uploadSection.classList.add('hidden');
+    librarySection.classList.add('hidden');
+    profileSection.classList.add('hidden');
+    uploadForm.classList.remove('hidden');
+    generateBtn.disabled = false;
+    planSection.classList.remove('hidden');
+    renderPlanBtn.disabled = false;
+    
+    planDescription.textContent = draft.sketch.description;
+    planStepReason.textContent = describeStepCount(draft.plan.length, draft.stepCountReason);
+    planSketch.innerHTML = '';
+    if (draft.sketch.imageUrl) {
+        const img = document.createElement('img');
+        img.src = draft.sketch.imageUrl;
+        img.alt = t('tutorial.sketchAlt');
+        img.style.maxWidth = '100%';
+        img.style.maxHeight = '300px';
+        img.style.borderRadius = '10px';
+        planSketch.appendChild(img);
+    }
+    
+    renderPlanEditor();
+}
+
+// Leave the plan review; the draft stays in "My Tutorials"
+function closePlanEditor() {
+    planDraft = null;
+    planSteps = [];
+    planSection.classList.add('hidden');
+    uploadSection.classList.remove('hidden');
+    librarySection.classList.remove('hidden');
+    profileSection.classList.remove('hidden');
+    loadLibrary();
+}
+
+// Draw one editable row per planned step
+function renderPlanEditor() {
+    planStepsList.innerHTML = '';
+    
+    planSteps.forEach((planStep, index) => {
+        const item = document.createElement('li');
+        item.classList.add('plan-step');
+        
+        const fields = document.createElement('div');
+        fields.classList.add('plan-step-fields');
+        
+        const textarea = document.createElement('textarea');
+        textarea.value = planStep.objective || '';
+        textarea.setAttribute('aria-label', t('plan.stepObjective', { step: index + 1 }));
+        textarea.addEventListener('input', () => {
+            planStep.objective = textarea.value;
+        });
+        fields.appendChild(textarea);
+        
+        // Focus, avoid, tip and time are tucked away; most edits only touch the objective
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = t('plan.details');
+        details.appendChild(summary);
+        [['focus', 'plan.focus'], ['avoid', 'plan.avoid'], ['tips', 'plan.tip']].forEach(([field, labelKey]) => {
+            const row = document.createElement('label');
+            row.textContent = t(labelKey);
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = planStep[field] || '';
+            input.addEventListener('input', () => {
+                planStep[field] = input.value;
+            });
+            row.appendChild(input);
+            details.appendChild(row);
+        });
+        const minutesRow = document.createElement('label');
+        minutesRow.textContent = t('plan.minutes');
+        const minutesInput = document.createElement('input');
+        minutesInput.type = 'number';
+        minutesInput.min = '1';
+        minutesInput.max = '60';
+        minutesInput.value = planStep.estimatedMinutes || '';
+        minutesInput.addEventListener('input', () => {
+            planStep.estimatedMinutes = minutesInput.value ? Number(minutesInput.value) : null;
+        });
+        minutesRow.appendChild(minutesInput);
+        details.appendChild(minutesRow);
+        fields.appendChild(details);
+        
+        item.appendChild(fields);
+        
+        const actions = document.createElement('div');
+        actions.classList.add('plan-step-actions');
+        const addAction = (label, title, disabled, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        
+        addAction('↑', t('plan.moveUp'), index === 0, () => movePlanStep(index, -1));
+        addAction('↓', t('plan.moveDown'), index === planSteps.length - 1, () => movePlanStep(index, 1));
+        addAction(t('plan.merge'), t('plan.mergeTitle'), index === planSteps.length - 1, () => mergePlanStep(index));
+        addAction(t('plan.split'), t('plan.splitTitle'), false, () => splitPlanStep(index, textarea.selectionStart));
+        addAction('✕', t('plan.deleteTitle'), planSteps.length === 1, () => {
+            planSteps.splice(index, 1);
+            renderPlanEditor();
+        });
+        item.appendChild(actions);
+        
+        planStepsList.appendChild(item);
+    });
+}
+
+function movePlanStep(index, offset) {
+    const [step] = planSteps.splice(index, 1);
+    planSteps.splice(index + offset, 0, step);
+    renderPlanEditor();
+}
+
+// Join two steps' text fields and add up their time
+function mergePlanStep(index) {
+    const pair = planSteps.slice(index, index + 2);
+    const join = (field, separator) => pair.map(step => (step[field] || '').trim()).filter(Boolean).join(separator);
+    const minutes = pair.reduce((total, step) => total + (step.estimatedMinutes || 0), 0);
+    
+    planSteps.splice(index, 2, {
+        objective: join('objective', ' '),
+        focus: join('focus', '; '),
+        avoid: (pair[1].avoid || '').trim(),
+        tips: join('tips', ' '),
+        estimatedMinutes: minutes || null
+    });
+    renderPlanEditor();
+}
+
+// Split the objective at the cursor, or add an empty step after this one when the cursor is at either end
+function splitPlanStep(index, position) {
+    const planStep = planSteps[index];
+    const text = planStep.objective || '';
+    if (position > 0 && position < text.length) {
+        const minutes = planStep.estimatedMinutes ? Math.max(1, Math.round(planStep.estimatedMinutes / 2)) : null;
+        planSteps.splice(index, 1,
+            { ...planStep, objective: text.slice(0, position).trim(), estimatedMinutes: minutes },
+            { objective: text.slice(position).trim(), focus: planStep.focus, avoid: planStep.avoid, tips: '', estimatedMinutes: minutes }
+        );
+    } else {
+        planSteps.splice(index + 1, 0, { objective: '' });
+    }
+    renderPlanEditor();
+}
+
+// Send the edited plan to the server and follow the drawing of its steps
+async function renderApprovedPlan() {
+    const plan = planSteps.map(step => ({ ...step, objective: (step.objective || '').trim() }));
+    if (plan.some(step => !step.objective)) {
+        alert(t('plan.emptySteps'));
+        return;
+    }
+    
+    renderPlanBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/tutorials/${planDraft.id}/render`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ plan })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const { jobId } = await response.json();
+        tutorialData = null;
+        planDraft = null;
+        await streamJob(jobId);
+    } catch (error) {
+        console.error('Error drawing tutorial steps:', error);
+        alert(t('plan.renderError', { message: error.message }));
+        renderPlanBtn.disabled = false;
+        if (tutorialData) {
+            tutorialData.generating = false;
+            updateStepDisplay();
+            updateNavigationButtons();
+        }
     }
 }
 
@@ -94,6 +780,7 @@ function initializeTutorial() {
     
     // Display sketch information
     sketchDescription.textContent = tutorialData.sketch.description;
+    stepCountReason.textContent = describeStepCount(tutorialData.totalSteps, tutorialData.stepCountReason);
     
     // Display sketch image if available
     if (tutorialData.sketch.imageUrl) {
@@ -101,67 +788,170 @@ function initializeTutorial() {
         sketchImagePlaceholder.innerHTML = '';
         const img = document.createElement('img');
         img.src = tutorialData.sketch.imageUrl;
-        img.alt = 'Generated sketch';
+        img.alt = t('tutorial.sketchAlt');
         img.style.maxWidth = '100%';
         img.style.maxHeight = '300px';
         img.style.borderRadius = '10px';
         sketchImagePlaceholder.appendChild(img);
     } else {
         // If no image, show a message
-        sketchImagePlaceholder.innerHTML = '<p>Sketch image not available. Showing description only.</p>';
+        showPlaceholder(sketchImagePlaceholder, 'tutorial.sketchMissing');
     }
     
-    // Reset step navigation
-    currentStepIndex = 0;
+    // Continue the child's latest drawing of this tutorial, else the drawing saved with the tutorial, if any
+    const progress = tutorialData.id ? profilePanel.progressFor(tutorialData.id) : null;
+    const latestDrawing = progress && progress.drawings.length > 0 ? progress.drawings[progress.drawings.length - 1] : null;
+    const practiceUrl = latestDrawing ? latestDrawing.imageUrl : (tutorialData.practice ? tutorialData.practice.imageUrl : null);
+    practiceCanvas.reset(practiceUrl).catch(error => {
+        console.error('Error loading the practice drawing:', error);
+    });
+    
+    // Resume where the child left off; a tutorial they finished starts over
+    const lastIndex = tutorialData.steps.length - 1;
+    const resume = progress && !tutorialData.generating && !(progress.completedAt && progress.currentStepIndex >= lastIndex);
+    currentStepIndex = resume ? Math.max(0, Math.min(progress.currentStepIndex, lastIndex)) : 0;
     updateStepDisplay();
     updateNavigationButtons();
+    narrateCurrentStep();
+    saveProgress();
+}
+
+// Remember the step on screen in the chosen child's profile
+function saveProgress() {
+    if (!tutorialData || !tutorialData.id || !tutorialData.steps[currentStepIndex]) return;
+    profilePanel.recordProgress(tutorialData.id, currentStepIndex);
+}
+
+// Replace an image area's content with a translated message
+// Messages without parameters are marked for applyTranslations, so they follow language changes
+function showPlaceholder(container, key, params) {
+    const message = document.createElement('p');
+    message.textContent = t(key, params);
+    if (!params) {
+        message.dataset.i18n = key;
+    }
+    container.innerHTML = '';
+    container.appendChild(message);
+}
+
+// Explain how many steps a tutorial has, e.g. "Why 6 steps? You asked for 6 steps."
+// Older tutorials have no reason, and the count isn't known until the plan is ready
+function describeStepCount(totalSteps, reason) {
+    if (!totalSteps || !reason) return '';
+    return t('tutorial.stepCountReason', { count: totalSteps, reason });
 }
 
 // Update step display
 function updateStepDisplay() {
-    if (!tutorialData || !tutorialData.steps || tutorialData.steps.length === 0) return;
+    if (!tutorialData || !tutorialData.steps) return;
     
+    const totalSteps = tutorialData.totalSteps || tutorialData.steps.length;
     const step = tutorialData.steps[currentStepIndex];
     
+    updateAudioButtons();
+    
+    // Finished tutorials can be printed as a worksheet
+    exportControls.classList.toggle('hidden', !tutorialData.id || tutorialData.generating || tutorialData.status !== 'complete');
+    
+    // Steps of saved tutorials can be redone once nothing else is generating
+    redoControls.classList.toggle('hidden', !tutorialData.id || !step);
+    redoStepBtn.disabled = tutorialData.generating;
+    redoStepBtn.textContent = tutorialData.generating ? t('tutorial.redoing') : t('tutorial.redo');
+    
+    // Children can check their drawing against finished steps
+    checkInControls.classList.toggle('hidden', !canCheckIn(step));
+    showCheckIn(step ? checkIns[step.step] : null);
+    
+    // The practice canvas traces the current step; the drawing itself stays
+    practiceCanvas.setTracingImage(step && step.imageUrl ? step.imageUrl : null);
+    updatePracticeControls();
+    
+    // The step is still being generated
+    if (!step) {
+        if (!tutorialData.generating) return;
+        stepTitle.textContent = t('tutorial.step', { step: currentStepIndex + 1 });
+        stepDescription.textContent = '';
+        stepIndicator.textContent = totalSteps
+            ? t('tutorial.stepOf', { step: currentStepIndex + 1, total: totalSteps })
+            : t('tutorial.step', { step: currentStepIndex + 1 });
+        stepViewer.hide();
+        showPlaceholder(stepImagePlaceholder, 'tutorial.stepPending');
+        return;
+    }
+    
     // Update UI
-    stepTitle.textContent = `Step ${step.step}`;
+    stepTitle.textContent = t('tutorial.step', { step: step.step });
     stepDescription.textContent = step.description;
     
-    // Add tips if available
-    // Remove any existing tips first
-    const existingTips = stepDescription.parentNode.querySelector('.tips');
-    if (existingTips) {
-        existingTips.remove();
+    // Add tips and the time estimate if available
+    // Remove any existing ones first
+    stepDescription.parentNode.querySelectorAll('.tips, .step-time').forEach(el => el.remove());
+    
+    if (step.estimatedMinutes) {
+        const timeElement = document.createElement('p');
+        timeElement.classList.add('step-time');
+        timeElement.textContent = tCount('tutorial.minutes', step.estimatedMinutes);
+        stepDescription.parentNode.insertBefore(timeElement, stepAudioControls);
     }
     
     if (step.tips) {
         const tipsElement = document.createElement('p');
-        tipsElement.innerHTML = `<strong>Tip:</strong> ${step.tips}`;
+        const tipLabel = document.createElement('strong');
+        tipLabel.textContent = t('tutorial.tip');
+        tipsElement.append(tipLabel, ` ${step.tips}`);
         tipsElement.style.marginTop = '15px';
         tipsElement.style.padding = '10px';
         tipsElement.style.backgroundColor = '#e8f4fd';
         tipsElement.style.borderRadius = '5px';
         tipsElement.classList.add('tips');
-        stepDescription.parentNode.insertBefore(tipsElement, playStepAudioBtn);
+        stepDescription.parentNode.insertBefore(tipsElement, stepAudioControls);
     }
     
-    stepIndicator.textContent = `Step ${step.step} of ${tutorialData.steps.length}`;
+    stepIndicator.textContent = t('tutorial.stepOf', { step: step.step, total: totalSteps });
+    announceStep(t('tutorial.stepAnnouncement', { step: step.step, total: totalSteps, description: step.description }));
     
     // Display step image if available
+    showNewLinesToggle.disabled = !step.overlayUrl;
     if (step.imageUrl) {
-        // Clear the placeholder and show the image
-        stepImagePlaceholder.innerHTML = '';
-        const img = document.createElement('img');
-        img.src = step.imageUrl;
-        img.alt = `Step ${step.step} illustration`;
-        img.style.maxWidth = '100%';
-        img.style.maxHeight = '300px';
-        img.style.borderRadius = '10px';
-        stepImagePlaceholder.appendChild(img);
+        // Compare with the closest earlier step that has a picture
+        const previousStep = tutorialData.steps.slice(0, currentStepIndex).reverse().find(earlier => earlier && earlier.imageUrl);
+        stepViewer.show({
+            imageUrl: step.imageUrl,
+            alt: stepAltText(step),
+            overlayUrl: step.overlayUrl,
+            previousUrl: previousStep ? previousStep.imageUrl : null,
+            referenceUrl: tutorialData.sketch ? tutorialData.sketch.imageUrl : null,
+            referenceAlt: t('viewer.referenceAlt')
+        });
     } else {
-        // If no image, show a message
-        stepImagePlaceholder.innerHTML = '<p>Step illustration not available. Showing description only.</p>';
+        // If no image, show a message, with the reason when the server recorded one
+        stepViewer.hide();
+        if (step.fallback) {
+            showPlaceholder(stepImagePlaceholder, 'tutorial.stepFallback', { reason: step.fallback.reason });
+        } else {
+            showPlaceholder(stepImagePlaceholder, 'tutorial.stepMissing');
+        }
+    }
+}
+
+// Text alternative of a step picture: what the step adds, from its description
+function stepAltText(step) {
+    if (!step.description) {
+        return t('tutorial.stepAlt', { step: step.step });
     }
+    // Long alt text is tiring to listen to; the full description is read out with the step anyway
+    const maxLength = 150;
+    const description = step.description.length > maxLength
+        ? `${step.description.slice(0, maxLength).replace(/\s+\S*$/, '')}...`
+        : step.description;
+    return t('tutorial.stepAltDescribed', { step: step.step, description });
+}
+
+// Have screen readers read out the step on screen (once, not on every refresh)
+function announceStep(text) {
+    if (text === lastAnnouncement) return;
+    lastAnnouncement = text;
+    stepAnnouncer.textContent = text;
 }
 
 // Update navigation buttons
@@ -175,20 +965,255 @@ function updateNavigationButtons() {
         prevStepBtn.disabled = true;
     }
     
-    // Next button
-    if (currentStepIndex < tutorialData.steps.length - 1) {
+    // Next button: only once the next step has arrived
+    if (currentStepIndex < tutorialData.steps.length - 1 && !waitingForCheckIn()) {
         nextStepBtn.disabled = false;
+        nextStepBtn.textContent = t('tutorial.next');
     } else {
         nextStepBtn.disabled = true;
+        if (waitingForCheckIn()) {
+            nextStepBtn.textContent = t('checkIn.locked');
+        } else {
+            nextStepBtn.textContent = tutorialData.generating ? t('tutorial.drawingNext') : t('tutorial.next');
+        }
+    }
+}
+
+// Check-ins need a saved, finished tutorial; the server has no steps to compare against before that
+function canCheckIn(step) {
+    return Boolean(step && tutorialData.id && !tutorialData.generating && tutorialData.status === 'complete');
+}
+
+// With check-ins required, the next step unlocks once the feedback says the drawing is ready
+function waitingForCheckIn() {
+    const step = tutorialData.steps[currentStepIndex];
+    if (!checkInRequiredToggle.checked || !canCheckIn(step)) return false;
+    const checkIn = checkIns[step.step];
+    return !checkIn || !checkIn.readyForNext;
+}
+
+// Show the feedback for the step on screen, if the child has checked in
+function showCheckIn(checkIn) {
+    checkInResult.innerHTML = '';
+    checkInResult.classList.toggle('hidden', !checkIn && !checkingIn);
+    checkInResult.classList.toggle('not-ready', Boolean(checkIn && !checkIn.readyForNext));
+    
+    if (checkingIn) {
+        checkInResult.textContent = t('checkIn.checking');
+        return;
+    }
+    if (!checkIn) return;
+    
+    const feedback = document.createElement('p');
+    feedback.textContent = checkIn.feedback;
+    checkInResult.appendChild(feedback);
+    
+    if (checkIn.suggestion) {
+        const suggestion = document.createElement('p');
+        suggestion.textContent = checkIn.suggestion;
+        checkInResult.appendChild(suggestion);
+    }
+    
+    const verdict = document.createElement('p');
+    const verdictText = document.createElement('strong');
+    verdictText.textContent = checkIn.readyForNext ? t('checkIn.ready') : t('checkIn.notReady');
+    verdict.appendChild(verdictText);
+    checkInResult.appendChild(verdict);
+}
+
+// Send a photo of the child's drawing for the current step and show what the server thinks of it
+async function submitCheckIn() {
+    const file = checkInInput.files[0];
+    checkInInput.value = '';
+    if (!file || checkingIn) return;
+    
+    const step = tutorialData.steps[currentStepIndex];
+    const tutorialId = tutorialData.id;
+    const formData = new FormData();
+    formData.append('image', file);
+    
+    checkingIn = true;
+    checkInControls.querySelector('.check-in-btn').classList.add('busy');
+    showCheckIn(null);
+    
+    try {
+        const response = await fetch(`/api/tutorials/${tutorialId}/steps/${step.step}/feedback`, {
+            method: 'POST',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const checkIn = await response.json();
+        // Ignore the answer if the child has moved on to another tutorial meanwhile
+        if (tutorialData && tutorialData.id === tutorialId) {
+            checkIns[step.step] = checkIn;
+        }
+    } catch (error) {
+        console.error('Error checking the drawing:', error);
+        alert(t('checkIn.error', { message: error.message }));
+    } finally {
+        checkingIn = false;
+        checkInControls.querySelector('.check-in-btn').classList.remove('busy');
+        if (tutorialData) {
+            updateStepDisplay();
+            updateNavigationButtons();
+        }
+    }
+}
+
+// Show or hide the practice canvas
+function setPracticeOpen(open) {
+    practicePanel.classList.toggle('hidden', !open);
+    practiceToggle.setAttribute('aria-expanded', open);
+    practiceToggle.classList.toggle('active', open);
+}
+
+// Drawings can be saved with tutorials from the library once they are finished,
+// to the chosen child's drawings when there is one
+function updatePracticeControls() {
+    const canSave = Boolean(tutorialData && tutorialData.id && !tutorialData.generating && tutorialData.status === 'complete');
+    const profile = profilePanel.active();
+    practiceSaveBtn.classList.toggle('hidden', !canSave);
+    practiceSaveBtn.textContent = profile ? t('practice.saveToProfile', { name: profile.name }) : t('practice.save');
+    practiceSaveBtn.disabled = savingPractice || practiceCanvas.isEmpty();
+    practiceDownloadBtn.disabled = practiceCanvas.isEmpty();
+}
+
+// Download the child's drawing as a PNG named after the tutorial
+async function downloadPractice() {
+    try {
+        const blob = await practiceCanvas.toBlob();
+        const title = tutorialData && tutorialData.title ? tutorialData.title : 'drawing';
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'drawing';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${slug}-practice.png`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Error downloading the drawing:', error);
+        alert(t('practice.downloadError', { message: error.message }));
     }
 }
 
+// Keep the child's drawing: in their profile when one is chosen, else with the saved tutorial
+// (replacing the one saved before)
+async function savePractice() {
+    if (savingPractice) return;
+    
+    const tutorialId = tutorialData.id;
+    const step = tutorialData.steps[currentStepIndex];
+    const profile = profilePanel.active();
+    savingPractice = true;
+    practiceStatus.textContent = t('practice.saving');
+    updatePracticeControls();
+    
+    try {
+        const image = await practiceCanvas.toBlob();
+        if (profile) {
+            await profilePanel.saveDrawing(tutorialId, image, step ? step.step : null);
+            if (tutorialData && tutorialData.id === tutorialId) {
+                practiceStatus.textContent = t('practice.savedToProfile', { name: profile.name });
+            }
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('image', image, 'practice.png');
+        if (step) {
+            formData.append('step', step.step);
+        }
+        
+        const response = await fetch(`/api/tutorials/${tutorialId}/practice`, {
+            method: 'PUT',
+            body: formData
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const practice = await response.json();
+        if (tutorialData && tutorialData.id === tutorialId) {
+            tutorialData.practice = practice;
+            practiceStatus.textContent = t('practice.saved');
+        }
+    } catch (error) {
+        console.error('Error saving the drawing:', error);
+        practiceStatus.textContent = '';
+        alert(t('practice.saveError', { message: error.message }));
+    } finally {
+        savingPractice = false;
+        updatePracticeControls();
+    }
+}
+
+// Download the current tutorial as a printable PDF worksheet
+function exportWorksheet() {
+    const params = new URLSearchParams({
+        pageSize: exportPageSizeSelect.value,
+        stepsPerPage: exportStepsPerPageSelect.value,
+        practiceBox: exportPracticeBoxToggle.checked
+    });
+    window.location.href = `/api/tutorials/${tutorialData.id}/export.pdf?${params}`;
+}
+
+// Move the slideshow on: 'moved' to the next step, 'wait' while it is still being drawn or needs a
+// check-in first, 'end' after the last step
+function advanceSlideshow() {
+    if (!tutorialData || !tutorialData.steps) return 'end';
+    if (currentStepIndex < tutorialData.steps.length - 1 && !waitingForCheckIn()) {
+        showNextStep();
+        return 'moved';
+    }
+    if (tutorialData.generating || waitingForCheckIn()) return 'wait';
+    announceStep(t('slideshow.finished'));
+    return 'end';
+}
+
+// Keyboard shortcuts of the tutorial view: arrows change step, Space plays or pauses the slideshow, F goes full screen
+// Keys typed into form fields, sliders or the practice canvas are left alone
+function handleTutorialShortcut(event) {
+    if (tutorialSection.classList.contains('hidden') || !tutorialData) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, select, textarea, canvas, [contenteditable]')) return;
+    
+    switch (event.key) {
+        case 'ArrowRight':
+            if (nextStepBtn.disabled) return;
+            showNextStep();
+            break;
+        case 'ArrowLeft':
+            showPrevStep();
+            break;
+        case ' ':
+            // Space on a focused button presses that button
+            if (event.target.closest('button')) return;
+            slideshow.toggle();
+            break;
+        case 'f':
+        case 'F':
+            slideshow.toggleFullscreen();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
 // Show previous step
 function showPrevStep() {
     if (currentStepIndex > 0) {
         currentStepIndex--;
         updateStepDisplay();
         updateNavigationButtons();
+        narrateCurrentStep();
+        saveProgress();
     }
 }
 
@@ -198,33 +1223,188 @@ function showNextStep() {
         currentStepIndex++;
         updateStepDisplay();
         updateNavigationButtons();
+        narrateCurrentStep();
+        saveProgress();
     }
 }
 
+// Ask the server to redraw the current step, optionally with a new instruction
+async function redoCurrentStep() {
+    const step = tutorialData.steps[currentStepIndex];
+    const description = prompt(t('tutorial.redoPrompt'), step.description);
+    if (description === null || !description.trim()) return;
+    
+    // Feedback on the old drawing no longer applies
+    Object.keys(checkIns)
+        .filter(number => Number(number) === step.step || (redoCascadeToggle.checked && Number(number) > step.step))
+        .forEach(number => delete checkIns[number]);
+    
+    tutorialData.generating = true;
+    updateStepDisplay();
+    updateNavigationButtons();
+    
+    try {
+        const response = await fetch(`/api/tutorials/${tutorialData.id}/steps/${step.step}/regenerate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ description, cascade: redoCascadeToggle.checked })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const { jobId } = await response.json();
+        await streamJob(jobId);
+    } catch (error) {
+        console.error('Error redoing step:', error);
+        alert(t('tutorial.redoError', { message: error.message }));
+        tutorialData.generating = false;
+        updateStepDisplay();
+        updateNavigationButtons();
+    }
+}
+
+// Narration URL of the step on screen, if it has one
+function currentStepAudio() {
+    if (!tutorialData || !tutorialData.steps) return null;
+    const step = tutorialData.steps[currentStepIndex];
+    return step ? step.audio : null;
+}
+
+// Play a narration, resuming it if it was paused (or starting over when asked)
+// Resolves to whether it started: browsers can block playing before the page was used, and the file can be missing
+function playNarration(url, fromStart = false) {
+    if (!url) return Promise.resolve(false);
+    
+    if (narrationUrl !== url) {
+        narrationAudio.src = url;
+        narrationUrl = url;
+    } else if (fromStart) {
+        narrationAudio.currentTime = 0;
+    }
+    return narrationAudio.play().then(() => true, error => {
+        console.warn('Could not play narration:', error);
+        return false;
+    });
+}
+
+// Play/pause button behaviour
+function toggleNarration(url) {
+    if (narrationUrl === url && !narrationAudio.paused) {
+        narrationAudio.pause();
+    } else {
+        playNarration(url);
+    }
+}
+
+function stopNarration() {
+    narrationAudio.pause();
+    narrationAudio.removeAttribute('src');
+    narrationUrl = null;
+    updateAudioButtons();
+}
+
+// Stop the previous step's narration and start this one if auto-narrate is on
+// (or the slideshow waits for narrations), then start the slideshow's countdown for the step
+function narrateCurrentStep() {
+    stopNarration();
+    const audio = currentStepAudio();
+    const narrate = Boolean(audio) && (autoNarrateToggle.checked || (slideshow.isPlaying() && slideshow.waitsForNarration()));
+    if (narrate) {
+        playNarration(audio).then(started => {
+            // Unless another step's narration has taken over meanwhile
+            if (!started && narrationUrl === audio) {
+                slideshow.narrationFailed();
+            }
+        });
+    }
+    slideshow.stepShown({ narrated: narrate });
+}
+
+// Keep the narration buttons in sync with what is playing
+function updateAudioButtons() {
+    const sketchAudio = tutorialData && tutorialData.sketch ? tutorialData.sketch.audio : null;
+    const stepAudio = currentStepAudio();
+    const playing = !narrationAudio.paused;
+    
+    playSketchAudioBtn.disabled = !sketchAudio;
+    playSketchAudioBtn.textContent = playing && narrationUrl === sketchAudio ? t('tutorial.pause') : t('tutorial.listen');
+    
+    playStepAudioBtn.disabled = !stepAudio;
+    replayStepAudioBtn.disabled = !stepAudio;
+    playStepAudioBtn.textContent = playing && narrationUrl === stepAudio ? t('tutorial.pause') : t('tutorial.play');
+}
+
 // Reset tutorial
 function resetTutorial() {
+    slideshow.close();
+    stopNarration();
+    
+    // Stop following a job that is still running
+    if (jobStream) {
+        jobStream.close();
+        jobStream = null;
+    }
+    
     // Reset UI
     tutorialSection.classList.add('hidden');
     uploadSection.classList.remove('hidden');
+    librarySection.classList.remove('hidden');
+    profileSection.classList.remove('hidden');
     generateBtn.disabled = false;
+    loadLibrary();
+    profilePanel.refresh();
     
     // Reset data
     tutorialData = null;
     currentStepIndex = 0;
+    checkIns = {};
+    lastAnnouncement = null;
+    stepAnnouncer.textContent = '';
+    practiceCanvas.reset();
+    practiceCanvas.setTracingImage(null);
     
     // Remove any tips that might have been added
-    const tipsElements = document.querySelectorAll('.tips');
+    const tipsElements = document.querySelectorAll('.tips, .step-time');
     tipsElements.forEach(el => el.remove());
     
     // Reset image placeholders
-    sketchImagePlaceholder.innerHTML = '<p>Reference sketch will appear here</p>';
-    stepImagePlaceholder.innerHTML = '<p>Drawing step will appear here</p>';
+    stepViewer.hide();
+    showPlaceholder(sketchImagePlaceholder, 'tutorial.sketchPlaceholder');
+    showPlaceholder(stepImagePlaceholder, 'tutorial.stepPlaceholder');
 }
 
 
 
-// Check API health on page load
+// Switch the page to another language and redraw everything built in code
+async function changeLanguage(language) {
+    await setLanguage(language);
+    languageSelect.value = currentLanguage;
+    loadLibrary();
+    
+    if (planDraft) {
+        planStepReason.textContent = describeStepCount(planSteps.length, planDraft.stepCountReason);
+        renderPlanEditor();
+    }
+    if (tutorialData) {
+        stepCountReason.textContent = describeStepCount(tutorialData.totalSteps, tutorialData.stepCountReason);
+        updateStepDisplay();
+        updateNavigationButtons();
+    }
+    updateAudioButtons();
+    slideshow.render();
+    profilePanel.render();
+}
+
+// Check API health and load saved tutorials on page load
 window.addEventListener('DOMContentLoaded', async () => {
+    await setLanguage(preferredLanguage());
+    languageSelect.value = currentLanguage;
+    loadLibrary();
+    profilePanel.refresh();
+    
     try {
         const response = await fetch('/api/health');
         if (response.ok) {
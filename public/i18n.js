@@ -0,0 +1,74 @@
+// UI translations: strings live in locales/<language>.json, English fills in anything missing
+// Static text in index.html is marked with data-i18n (text), data-i18n-placeholder and data-i18n-aria-label
+// attributes; app.js builds everything else with t()
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let localeStrings = {};
+let fallbackStrings = {};
+
+// The saved choice, else the browser's language when we have it, else English
+function preferredLanguage() {
+    const saved = localStorage.getItem('language');
+    if (SUPPORTED_LANGUAGES.includes(saved)) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return SUPPORTED_LANGUAGES.includes(browser) ? browser : DEFAULT_LANGUAGE;
+}
+
+async function fetchLocale(language) {
+    const response = await fetch(`locales/${language}.json`);
+    if (!response.ok) {
+        throw new Error(`Could not load the ${language} translations (status ${response.status})`);
+    }
+    return response.json();
+}
+
+// Load a language and translate the page; keeps the current language if the file can't be loaded
+async function setLanguage(language) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+        language = DEFAULT_LANGUAGE;
+    }
+    try {
+        if (!fallbackStrings['language.name']) {
+            fallbackStrings = await fetchLocale(DEFAULT_LANGUAGE);
+        }
+        localeStrings = language === DEFAULT_LANGUAGE ? fallbackStrings : await fetchLocale(language);
+        currentLanguage = language;
+        localStorage.setItem('language', language);
+    } catch (error) {
+        console.error('Error loading translations:', error);
+    }
+    applyTranslations();
+}
+
+// Translate a key, filling in {placeholders}
+function t(key, params = {}) {
+    const template = localeStrings[key] !== undefined ? localeStrings[key] : fallbackStrings[key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// Translate a key with a count, picking the language's plural form ("<key>.one", "<key>.other")
+function tCount(key, count, params = {}) {
+    const form = new Intl.PluralRules(currentLanguage).select(count);
+    const pluralKey = localeStrings[`${key}.${form}`] !== undefined || fallbackStrings[`${key}.${form}`] !== undefined
+        ? `${key}.${form}`
+        : `${key}.other`;
+    return t(pluralKey, { ...params, count });
+}
+
+// Translate the static text of the page
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLanguage;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+}
@@ -0,0 +1,237 @@
+// Practice canvas: children draw along with the tutorial in the page instead of on paper beside the screen.
+// The pencil follows stylus pressure, there is an eraser, undo/redo, and an optional faint tracing copy of
+// the current step under the drawing. The drawing stays when the step changes; app.js saves it as a PNG
+// or to the tutorial on the server
+
+const PRACTICE_SIZE = 800;
+const PENCIL_COLOR = '#333333';
+
+// Mice report no real pressure, and some touch screens report 0; both draw at medium pressure
+function strokePressure(event) {
+    return event.pointerType === 'mouse' || !event.pressure ? 0.5 : event.pressure;
+}
+
+function createPracticeCanvas({ canvas, controls, tracingImage, onChange = () => {} }) {
+    const toolButtons = controls.querySelectorAll('[data-tool]');
+    const sizeInput = controls.querySelector('.practice-size');
+    const undoButton = controls.querySelector('.practice-undo');
+    const redoButton = controls.querySelector('.practice-redo');
+    const clearButton = controls.querySelector('.practice-clear');
+    const traceToggle = controls.querySelector('.practice-trace');
+
+    canvas.width = PRACTICE_SIZE;
+    canvas.height = PRACTICE_SIZE;
+    const context = canvas.getContext('2d');
+
+    let tool = 'pencil';
+    // Everything drawn since the last reset, as strokes and clears, so undo can replay the rest
+    let actions = [];
+    let undone = [];
+    let baseImage = null;
+    let stroke = null;
+
+    traceToggle.checked = localStorage.getItem('practiceTracing') !== 'false';
+
+    function drawSegment(currentStroke, from, to) {
+        context.globalCompositeOperation = currentStroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+        context.strokeStyle = PENCIL_COLOR;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        // Harder presses draw thicker lines; the eraser ignores pressure
+        const pressure = currentStroke.tool === 'eraser' ? 1 : 0.4 + ((from.pressure + to.pressure) / 2) * 1.2;
+        context.lineWidth = currentStroke.size * (currentStroke.tool === 'eraser' ? 3 : pressure);
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.stroke();
+    }
+
+    function drawStroke(currentStroke) {
+        const points = currentStroke.points;
+        // A tap draws a dot
+        drawSegment(currentStroke, points[0], points.length > 1 ? points[1] : points[0]);
+        for (let i = 2; i < points.length; i++) {
+            drawSegment(currentStroke, points[i - 1], points[i]);
+        }
+    }
+
+    // Draw everything again from the saved drawing (unless it was cleared) and the remaining actions
+    function redraw() {
+        context.globalCompositeOperation = 'source-over';
+        context.clearRect(0, 0, PRACTICE_SIZE, PRACTICE_SIZE);
+        const lastClear = actions.map(action => action.type).lastIndexOf('clear');
+        if (lastClear === -1 && baseImage) {
+            context.drawImage(baseImage, 0, 0, PRACTICE_SIZE, PRACTICE_SIZE);
+        }
+        actions.slice(lastClear + 1).forEach(drawStroke);
+    }
+
+    function isEmpty() {
+        const lastAction = actions[actions.length - 1];
+        return lastAction ? lastAction.type === 'clear' : !baseImage;
+    }
+
+    function updateControls() {
+        toolButtons.forEach(button => button.setAttribute('aria-pressed', button.dataset.tool === tool));
+        undoButton.disabled = actions.length === 0;
+        redoButton.disabled = undone.length === 0;
+        clearButton.disabled = isEmpty();
+        tracingImage.classList.toggle('hidden', !traceToggle.checked || !tracingImage.getAttribute('src'));
+    }
+
+    function changed() {
+        updateControls();
+        onChange({ empty: isEmpty() });
+    }
+
+    function record(action) {
+        actions.push(action);
+        undone = [];
+        changed();
+    }
+
+    function undo() {
+        if (actions.length === 0) return;
+        undone.push(actions.pop());
+        redraw();
+        changed();
+    }
+
+    function redo() {
+        if (undone.length === 0) return;
+        actions.push(undone.pop());
+        redraw();
+        changed();
+    }
+
+    // Pointer position in canvas pixels, whatever size the canvas is shown at
+    function canvasPoint(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * PRACTICE_SIZE,
+            y: ((event.clientY - rect.top) / rect.height) * PRACTICE_SIZE,
+            pressure: strokePressure(event)
+        };
+    }
+
+    canvas.addEventListener('pointerdown', event => {
+        // One pencil at a time: ignore a second finger and anything but the main mouse button
+        if (stroke || (event.pointerType === 'mouse' && event.button !== 0)) return;
+        event.preventDefault();
+        canvas.setPointerCapture(event.pointerId);
+        // The pen's eraser end (button 5) erases without switching tools
+        const strokeTool = event.button === 5 ? 'eraser' : tool;
+        stroke = { type: 'stroke', tool: strokeTool, size: Number(sizeInput.value), points: [canvasPoint(event)], pointerId: event.pointerId };
+        drawSegment(stroke, stroke.points[0], stroke.points[0]);
+    });
+
+    canvas.addEventListener('pointermove', event => {
+        if (!stroke || event.pointerId !== stroke.pointerId) return;
+        // Fast movements arrive as several coalesced events; use them all for smooth lines
+        const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [event];
+        (events.length > 0 ? events : [event]).forEach(coalesced => {
+            const point = canvasPoint(coalesced);
+            drawSegment(stroke, stroke.points[stroke.points.length - 1], point);
+            stroke.points.push(point);
+        });
+    });
+
+    const endStroke = event => {
+        if (!stroke || event.pointerId !== stroke.pointerId) return;
+        const { pointerId, ...finished } = stroke;
+        stroke = null;
+        record(finished);
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while the canvas or its tools have focus
+    controls.parentNode.addEventListener('keydown', event => {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            redo();
+        }
+    });
+
+    toolButtons.forEach(button => button.addEventListener('click', () => {
+        tool = button.dataset.tool;
+        updateControls();
+    }));
+    undoButton.addEventListener('click', undo);
+    redoButton.addEventListener('click', redo);
+    clearButton.addEventListener('click', () => {
+        record({ type: 'clear' });
+        redraw();
+    });
+    traceToggle.addEventListener('change', () => {
+        localStorage.setItem('practiceTracing', traceToggle.checked);
+        updateControls();
+    });
+
+    /**
+     * Show a faint copy of a picture under the drawing to trace over
+     * @param {string|null} url - The current step's image, or null for none
+     */
+    function setTracingImage(url) {
+        if (url) {
+            tracingImage.src = url;
+        } else {
+            tracingImage.removeAttribute('src');
+        }
+        updateControls();
+    }
+
+    /**
+     * Start over with an empty canvas, or with a saved drawing to continue
+     * @param {string|null} [url] - A saved practice drawing
+     * @returns {Promise<void>} Resolves once the drawing is loaded
+     */
+    function reset(url = null) {
+        actions = [];
+        undone = [];
+        stroke = null;
+        baseImage = null;
+        redraw();
+        changed();
+        if (!url) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            // Drawings kept in a bucket must allow CORS, or the canvas could not be saved again
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                baseImage = image;
+                redraw();
+                changed();
+                resolve();
+            };
+            image.onerror = () => reject(new Error(`Could not load ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * The drawing as a PNG on white paper (erased parts included)
+     * @returns {Promise<Blob>}
+     */
+    function toBlob() {
+        const paper = document.createElement('canvas');
+        paper.width = PRACTICE_SIZE;
+        paper.height = PRACTICE_SIZE;
+        const paperContext = paper.getContext('2d');
+        paperContext.fillStyle = 'white';
+        paperContext.fillRect(0, 0, PRACTICE_SIZE, PRACTICE_SIZE);
+        paperContext.drawImage(canvas, 0, 0);
+        return new Promise((resolve, reject) => {
+            paper.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The drawing could not be exported'))), 'image/png');
+        });
+    }
+
+    updateControls();
+    return { setTracingImage, reset, toBlob, isEmpty };
+}
@@ -0,0 +1,321 @@
+// Learner profiles: children pick who is drawing (a name and an avatar, no password), and their progress
+// is kept on the server: the tutorials they started, the step they were on, when they finished and the
+// drawings they saved. The panel shows the profiles and the chosen child's progress dashboard; app.js
+// records progress through recordProgress() and saveDrawing(), and resumes tutorials with progressFor()
+
+function createProfilePanel({ section, onResume }) {
+    const profileList = section.querySelector('.profile-list');
+    const form = section.querySelector('.profile-form');
+    const nameInput = form.querySelector('.profile-name');
+    const avatarPicker = form.querySelector('.profile-avatars');
+    const cancelButton = form.querySelector('.profile-cancel-btn');
+    const dashboard = section.querySelector('.profile-dashboard');
+    const dashboardTitle = dashboard.querySelector('.dashboard-title');
+    const dashboardSummary = dashboard.querySelector('.dashboard-summary');
+    const dashboardEmpty = dashboard.querySelector('.dashboard-empty');
+    const dashboardList = dashboard.querySelector('.dashboard-list');
+    const deleteButton = dashboard.querySelector('.delete-profile-btn');
+
+    let profiles = [];
+    let avatars = [];
+    // The chosen child's full profile, with `progress` as a list (see GET /api/profiles/:id)
+    let activeProfile = null;
+
+    async function request(url, options) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    // "12 minutes", "2 hours": how long a child took from starting a tutorial to finishing it
+    function describeDuration(startedAt, completedAt) {
+        const minutes = Math.max(1, Math.round((Date.parse(completedAt) - Date.parse(startedAt)) / 60000));
+        return minutes < 120 ? tCount('profiles.tookMinutes', minutes) : tCount('profiles.tookHours', Math.round(minutes / 60));
+    }
+
+    function renderProfiles() {
+        profileList.innerHTML = '';
+        const addChip = (label, pressed, handler) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.classList.add('profile-chip');
+            button.textContent = label;
+            if (pressed !== null) {
+                button.setAttribute('aria-pressed', pressed);
+            }
+            button.addEventListener('click', handler);
+            item.appendChild(button);
+            profileList.appendChild(item);
+        };
+
+        profiles.forEach(profile => {
+            addChip(`${profile.avatar} ${profile.name}`, Boolean(activeProfile && activeProfile.id === profile.id), () => select(profile.id));
+        });
+        if (profiles.length > 0) {
+            addChip(t('profiles.none'), !activeProfile, () => select(null));
+        }
+        addChip(t('profiles.new'), null, openForm);
+    }
+
+    function renderAvatars() {
+        const chosen = avatarPicker.querySelector('input:checked');
+        const chosenAvatar = chosen ? chosen.value : avatars[0];
+        avatarPicker.innerHTML = '';
+        avatars.forEach(avatar => {
+            const label = document.createElement('label');
+            label.classList.add('avatar-option');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'avatar';
+            input.value = avatar;
+            input.checked = avatar === chosenAvatar;
+            const face = document.createElement('span');
+            face.textContent = avatar;
+            label.append(input, face);
+            avatarPicker.appendChild(label);
+        });
+    }
+
+    function renderDashboard() {
+        dashboard.classList.toggle('hidden', !activeProfile);
+        if (!activeProfile) return;
+
+        const finished = activeProfile.progress.filter(entry => entry.completedAt).length;
+        dashboardTitle.textContent = t('profiles.dashboardTitle', { avatar: activeProfile.avatar, name: activeProfile.name });
+        dashboardSummary.textContent = t('profiles.summary', { started: activeProfile.progress.length, finished });
+        dashboardEmpty.classList.toggle('hidden', activeProfile.progress.length > 0);
+        dashboardList.innerHTML = '';
+
+        activeProfile.progress.forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.add('dashboard-item');
+
+            if (entry.thumbnailUrl) {
+                const img = document.createElement('img');
+                img.src = entry.thumbnailUrl;
+                img.alt = '';
+                item.appendChild(img);
+            }
+
+            const body = document.createElement('div');
+            body.classList.add('dashboard-body');
+            const title = document.createElement('p');
+            title.classList.add('card-title');
+            title.textContent = entry.title || t('library.untitled');
+            body.appendChild(title);
+
+            if (entry.stepCount) {
+                const bar = document.createElement('progress');
+                bar.max = entry.stepCount;
+                bar.value = Math.min(entry.stepCount, entry.furthestStepIndex + 1);
+                bar.setAttribute('aria-label', t('profiles.stepOf', { step: entry.currentStepIndex + 1, total: entry.stepCount }));
+                const where = document.createElement('p');
+                where.classList.add('card-meta');
+                where.textContent = t('profiles.stepOf', { step: entry.currentStepIndex + 1, total: entry.stepCount });
+                body.append(bar, where);
+            }
+
+            const status = document.createElement('p');
+            status.classList.add('card-meta');
+            status.textContent = entry.completedAt
+                ? `${t('profiles.finished', { date: new Date(entry.completedAt).toLocaleDateString(currentLanguage) })} · ${describeDuration(entry.startedAt, entry.completedAt)}`
+                : t('profiles.started', { date: new Date(entry.startedAt).toLocaleDateString(currentLanguage) });
+            body.appendChild(status);
+
+            // The child's saved drawings of this tutorial, newest first
+            if (entry.drawings.length > 0) {
+                const drawings = document.createElement('div');
+                drawings.classList.add('dashboard-drawings');
+                entry.drawings.slice().reverse().forEach(drawing => {
+                    const link = document.createElement('a');
+                    link.href = drawing.imageUrl;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+                    const img = document.createElement('img');
+                    img.src = drawing.imageUrl;
+                    img.alt = drawing.step
+                        ? t('profiles.drawingOfStep', { step: drawing.step, date: new Date(drawing.savedAt).toLocaleDateString(currentLanguage) })
+                        : t('profiles.drawing', { date: new Date(drawing.savedAt).toLocaleDateString(currentLanguage) });
+                    link.appendChild(img);
+                    drawings.appendChild(link);
+                });
+                body.appendChild(drawings);
+            }
+
+            item.appendChild(body);
+
+            if (entry.title !== null) {
+                const resumeButton = document.createElement('button');
+                resumeButton.type = 'button';
+                resumeButton.classList.add('resume-btn');
+                resumeButton.textContent = entry.completedAt ? t('profiles.drawAgain') : t('profiles.resume');
+                resumeButton.addEventListener('click', () => onResume(entry.tutorialId));
+                item.appendChild(resumeButton);
+            }
+
+            dashboardList.appendChild(item);
+        });
+    }
+
+    function render() {
+        renderProfiles();
+        renderAvatars();
+        renderDashboard();
+    }
+
+    function openForm() {
+        form.classList.remove('hidden');
+        nameInput.focus();
+    }
+
+    function closeForm() {
+        form.reset();
+        form.classList.add('hidden');
+    }
+
+    /**
+     * Choose who is drawing; null draws without a profile
+     * @param {string|null} id - Profile id
+     */
+    async function select(id) {
+        try {
+            activeProfile = id ? await request(`/api/profiles/${id}`) : null;
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            activeProfile = null;
+        }
+        if (activeProfile) {
+            localStorage.setItem('profileId', activeProfile.id);
+        } else {
+            localStorage.removeItem('profileId');
+        }
+        render();
+    }
+
+    /**
+     * Load the profiles and the chosen child's progress again (e.g. back from a tutorial)
+     * @returns {Promise<void>}
+     */
+    async function refresh() {
+        try {
+            ({ profiles, avatars } = await request('/api/profiles'));
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            profiles = [];
+        }
+        const savedId = activeProfile ? activeProfile.id : localStorage.getItem('profileId');
+        await select(profiles.some(profile => profile.id === savedId) ? savedId : null);
+    }
+
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const chosen = avatarPicker.querySelector('input:checked');
+        try {
+            const profile = await request('/api/profiles', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: nameInput.value, avatar: chosen ? chosen.value : undefined })
+            });
+            closeForm();
+            activeProfile = profile;
+            await refresh();
+        } catch (error) {
+            console.error('Error adding profile:', error);
+            alert(t('profiles.createError', { message: error.message }));
+        }
+    });
+    cancelButton.addEventListener('click', closeForm);
+
+    deleteButton.addEventListener('click', async () => {
+        if (!activeProfile || !confirm(t('profiles.confirmDelete', { name: activeProfile.name }))) return;
+        try {
+            await request(`/api/profiles/${activeProfile.id}`, { method: 'DELETE' });
+            activeProfile = null;
+            localStorage.removeItem('profileId');
+            await refresh();
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            alert(t('profiles.deleteError', { message: error.message }));
+        }
+    });
+
+    /**
+     * The chosen child's progress in a tutorial
+     * @param {string} tutorialId - Tutorial id
+     * @returns {Object|null} { currentStepIndex, startedAt, completedAt, drawings, ... }, or null
+     */
+    function progressFor(tutorialId) {
+        return activeProfile ? activeProfile.progress.find(entry => entry.tutorialId === tutorialId) || null : null;
+    }
+
+    // Keep the local copy of the dashboard in step with what the server recorded
+    function updateEntry(tutorialId, changes) {
+        const entry = progressFor(tutorialId);
+        if (entry) {
+            Object.assign(entry, changes);
+        } else {
+            activeProfile.progress.unshift({ tutorialId, title: null, thumbnailUrl: null, stepCount: null, drawings: [], ...changes });
+        }
+    }
+
+    /**
+     * Record the step the chosen child is on; does nothing without a profile
+     * Failures are only logged: a child shouldn't be interrupted because progress couldn't be saved
+     * @param {string} tutorialId - Tutorial id
+     * @param {number} currentStepIndex - Index of the step on screen, from 0
+     */
+    async function recordProgress(tutorialId, currentStepIndex) {
+        if (!activeProfile) return;
+        const profileId = activeProfile.id;
+        try {
+            const entry = await request(`/api/profiles/${profileId}/progress/${tutorialId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentStepIndex })
+            });
+            if (activeProfile && activeProfile.id === profileId) {
+                updateEntry(tutorialId, entry);
+            }
+        } catch (error) {
+            console.error('Error recording progress:', error);
+        }
+    }
+
+    /**
+     * Save a practice drawing to the chosen child's profile
+     * @param {string} tutorialId - Tutorial id
+     * @param {Blob} image - The drawing
+     * @param {number|null} step - Step number the child was on
+     * @returns {Promise<Object>} The saved drawing, { imageUrl, step, savedAt }
+     */
+    async function saveDrawing(tutorialId, image, step) {
+        const profileId = activeProfile.id;
+        const formData = new FormData();
+        formData.append('image', image, 'drawing.png');
+        if (step) {
+            formData.append('step', step);
+        }
+        const drawing = await request(`/api/profiles/${profileId}/progress/${tutorialId}/drawings`, {
+            method: 'POST',
+            body: formData
+        });
+        if (activeProfile && activeProfile.id === profileId) {
+            const entry = progressFor(tutorialId);
+            updateEntry(tutorialId, { drawings: [...(entry ? entry.drawings : []), drawing] });
+        }
+        return drawing;
+    }
+
+    return {
+        refresh,
+        render,
+        progressFor,
+        recordProgress,
+        saveDrawing,
+        active: () => activeProfile
+    };
+}
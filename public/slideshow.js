@@ -0,0 +1,166 @@
+// Slideshow: plays a tutorial by moving to the next step on a timer, or once the step's narration has
+// ended, and shows the steps full screen for projecting to a class. app.js owns the steps: it calls
+// stepShown() whenever another step is on screen, advance() tells it whether the slideshow could move on,
+// and onStart() (when playing starts) narrates the step on screen and calls stepShown(); narrationFailed() tells
+// it a narration it waits for couldn't be played
+
+const DEFAULT_DELAY_SECONDS = 10;
+// Breathing room between the end of a narration and the next step
+const AFTER_NARRATION_MS = 1500;
+// How often to try again while the next step is still being drawn (or waits for a check-in)
+const WAIT_RETRY_MS = 1000;
+// Longest wait for a narration to end, in case it never does (e.g. it stalls while loading)
+const MAX_NARRATION_WAIT_MS = 60000;
+
+function createSlideshow({ controls, stage, narration, advance, onStart }) {
+    const playButton = controls.querySelector('.slideshow-play');
+    const delaySelect = controls.querySelector('.slideshow-delay');
+    const fullscreenButton = controls.querySelector('.slideshow-fullscreen');
+
+    let playing = false;
+    let timer = null;
+    // Whether the step on screen has a narration playing to wait for
+    let narrated = false;
+
+    const savedDelay = localStorage.getItem('slideshowDelay');
+    if (savedDelay && [...delaySelect.options].some(option => option.value === savedDelay)) {
+        delaySelect.value = savedDelay;
+    }
+
+    function waitsForNarration() {
+        return delaySelect.value === 'narration';
+    }
+
+    function render() {
+        playButton.setAttribute('aria-pressed', playing);
+        playButton.textContent = playing ? t('slideshow.pause') : t('slideshow.play');
+        const fullscreen = document.fullscreenElement === stage;
+        fullscreenButton.setAttribute('aria-pressed', fullscreen);
+        fullscreenButton.textContent = fullscreen ? t('slideshow.exitFullscreen') : t('slideshow.fullscreen');
+    }
+
+    function clearTimer() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    function tick() {
+        timer = null;
+        if (!playing) return;
+        const result = advance();
+        if (result === 'wait') {
+            timer = setTimeout(tick, WAIT_RETRY_MS);
+        } else if (result === 'end') {
+            stop();
+        }
+        // 'moved': app.js calls stepShown() for the new step, which starts the next countdown
+    }
+
+    // Count down to the next step; with narration, the countdown starts when it ends (see below)
+    function schedule() {
+        clearTimer();
+        if (!playing) return;
+        if (waitsForNarration() && narrated) {
+            timer = setTimeout(tick, MAX_NARRATION_WAIT_MS);
+            return;
+        }
+        const seconds = waitsForNarration() ? DEFAULT_DELAY_SECONDS : Number(delaySelect.value);
+        timer = setTimeout(tick, seconds * 1000);
+    }
+
+    narration.addEventListener('ended', () => {
+        if (playing && waitsForNarration() && narrated) {
+            clearTimer();
+            timer = setTimeout(tick, AFTER_NARRATION_MS);
+        }
+    });
+
+    // The narration failed to load or play, or the child paused it: count down as if the step had none
+    function narrationFailed() {
+        if (!narrated) return;
+        narrated = false;
+        schedule();
+    }
+
+    narration.addEventListener('error', narrationFailed);
+    narration.addEventListener('pause', () => {
+        // Also fired when a narration ends, and late for one stopped just before the next step's started
+        if (narration.paused && !narration.ended) {
+            narrationFailed();
+        }
+    });
+    // Playing it again waits for its end again
+    narration.addEventListener('play', () => {
+        if (playing && waitsForNarration() && !narrated) {
+            narrated = true;
+            schedule();
+        }
+    });
+
+    function play() {
+        playing = true;
+        render();
+        onStart();
+    }
+
+    function stop() {
+        playing = false;
+        clearTimer();
+        render();
+    }
+
+    function toggle() {
+        if (playing) {
+            stop();
+        } else {
+            play();
+        }
+    }
+
+    function toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(error => console.warn('Could not leave full screen:', error));
+        } else {
+            stage.requestFullscreen().catch(error => console.warn('Could not go full screen:', error));
+        }
+    }
+
+    playButton.addEventListener('click', toggle);
+    delaySelect.addEventListener('change', () => {
+        localStorage.setItem('slideshowDelay', delaySelect.value);
+        schedule();
+    });
+    fullscreenButton.addEventListener('click', toggleFullscreen);
+    document.addEventListener('fullscreenchange', render);
+    // Some browsers (iPhone Safari) can't show an element full screen
+    fullscreenButton.classList.toggle('hidden', !document.fullscreenEnabled);
+
+    /**
+     * Another step is on screen: start its countdown
+     * @param {Object} step
+     * @param {boolean} step.narrated - Whether its narration is playing, for the "after narration" setting
+     */
+    function stepShown({ narrated: hasNarration }) {
+        narrated = hasNarration;
+        schedule();
+    }
+
+    // Stop playing and leave full screen, e.g. when the tutorial is closed
+    function close() {
+        stop();
+        if (document.fullscreenElement === stage) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    return {
+        stepShown,
+        narrationFailed,
+        toggle,
+        toggleFullscreen,
+        close,
+        render,
+        isPlaying: () => playing,
+        waitsForNarration
+    };
+}
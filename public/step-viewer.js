@@ -0,0 +1,224 @@
+// Step picture viewer: the current step alone, a wipe between the previous and the current step, or the
+// current step over a ghost of the previous one, plus a peek at the finished reference and zoom/pan for
+// detailed steps. The controls live in index.html; app.js passes the image URLs of tutorialData.steps to show()
+
+const VIEW_MODES = ['single', 'wipe', 'onion'];
+const MAX_ZOOM = 4;
+const ZOOM_FACTOR = 1.5;
+
+function createStepViewer({ container, controls }) {
+    const modeButtons = controls.querySelectorAll('[data-view-mode]');
+    const wipeSlider = controls.querySelector('.wipe-slider');
+    const peekButton = controls.querySelector('.peek-btn');
+    const zoomInButton = controls.querySelector('.zoom-in-btn');
+    const zoomOutButton = controls.querySelector('.zoom-out-btn');
+    const zoomResetButton = controls.querySelector('.zoom-reset-btn');
+
+    const savedMode = localStorage.getItem('stepViewMode');
+    let mode = VIEW_MODES.includes(savedMode) ? savedMode : 'single';
+    let images = null;
+    let peeking = false;
+    let overlayVisible = true;
+    let zoom = 1;
+    let pan = { x: 0, y: 0 };
+    let drag = null;
+
+    // Layers, bottom to top: previous step, current step (with its new-lines overlay), wipe line, reference
+    const viewport = document.createElement('div');
+    viewport.classList.add('step-viewport');
+    const stage = document.createElement('div');
+    stage.classList.add('step-stage');
+    const previousImage = document.createElement('img');
+    previousImage.classList.add('step-layer', 'step-layer-previous');
+    previousImage.alt = '';
+    const currentLayer = document.createElement('div');
+    currentLayer.classList.add('step-layer-current');
+    const currentImage = document.createElement('img');
+    currentImage.classList.add('step-main');
+    const overlayImage = document.createElement('img');
+    overlayImage.classList.add('step-overlay');
+    overlayImage.alt = '';
+    const wipeLine = document.createElement('div');
+    wipeLine.classList.add('wipe-line');
+    const referenceImage = document.createElement('img');
+    referenceImage.classList.add('step-layer', 'step-layer-reference');
+
+    currentLayer.append(currentImage, overlayImage);
+    stage.append(previousImage, currentLayer, wipeLine, referenceImage);
+    viewport.appendChild(stage);
+
+    // The modes that compare with the previous step need one
+    function activeMode() {
+        return images && images.previousUrl ? mode : 'single';
+    }
+
+    function render() {
+        const active = activeMode();
+        viewport.dataset.mode = active;
+        previousImage.classList.toggle('hidden', active === 'single');
+        wipeLine.classList.toggle('hidden', active !== 'wipe');
+        wipeSlider.classList.toggle('hidden', active !== 'wipe');
+
+        // Wipe: the previous step shows left of the line, the current step right of it
+        const position = Number(wipeSlider.value);
+        currentLayer.style.clipPath = active === 'wipe' ? `inset(0 0 0 ${position}%)` : '';
+        wipeLine.style.left = `${position}%`;
+
+        modeButtons.forEach(button => {
+            const needsPrevious = button.dataset.viewMode !== 'single';
+            button.disabled = needsPrevious && !(images && images.previousUrl);
+            button.setAttribute('aria-pressed', button.dataset.viewMode === active);
+        });
+
+        overlayImage.classList.toggle('hidden', !(images && images.overlayUrl && overlayVisible));
+        referenceImage.classList.toggle('hidden', !peeking);
+        peekButton.setAttribute('aria-pressed', peeking);
+        peekButton.disabled = !(images && images.referenceUrl);
+
+        stage.style.transform = `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`;
+        viewport.classList.toggle('zoomed', zoom > 1);
+        zoomInButton.disabled = zoom >= MAX_ZOOM;
+        zoomOutButton.disabled = zoom <= 1;
+        zoomResetButton.disabled = zoom === 1;
+    }
+
+    // Keep the zoomed picture covering the viewport, so it can't be dragged out of sight
+    function clampPan() {
+        const width = viewport.clientWidth;
+        const height = viewport.clientHeight;
+        pan.x = Math.min(0, Math.max(width - width * zoom, pan.x));
+        pan.y = Math.min(0, Math.max(height - height * zoom, pan.y));
+    }
+
+    // Zoom around a point of the viewport (its centre by default), keeping that point where it is
+    function zoomTo(level, x = viewport.clientWidth / 2, y = viewport.clientHeight / 2) {
+        const next = Math.min(MAX_ZOOM, Math.max(1, level));
+        pan.x = x - (x - pan.x) * (next / zoom);
+        pan.y = y - (y - pan.y) * (next / zoom);
+        zoom = next;
+        clampPan();
+        render();
+    }
+
+    function resetZoom() {
+        zoom = 1;
+        pan = { x: 0, y: 0 };
+        render();
+    }
+
+    function pointInViewport(event) {
+        const rect = viewport.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    modeButtons.forEach(button => button.addEventListener('click', () => {
+        mode = button.dataset.viewMode;
+        localStorage.setItem('stepViewMode', mode);
+        render();
+    }));
+    wipeSlider.addEventListener('input', render);
+    peekButton.addEventListener('click', () => {
+        peeking = !peeking;
+        render();
+    });
+    zoomInButton.addEventListener('click', () => zoomTo(zoom * ZOOM_FACTOR));
+    zoomOutButton.addEventListener('click', () => zoomTo(zoom / ZOOM_FACTOR));
+    zoomResetButton.addEventListener('click', resetZoom);
+
+    // Double-click zooms in on that spot, and back out once fully zoomed
+    viewport.addEventListener('dblclick', event => {
+        const point = pointInViewport(event);
+        if (zoom >= MAX_ZOOM) {
+            resetZoom();
+        } else {
+            zoomTo(zoom * ZOOM_FACTOR, point.x, point.y);
+        }
+    });
+
+    // Ctrl + wheel (and trackpad pinches, which browsers report the same way) zooms; plain scrolling still scrolls the page
+    viewport.addEventListener('wheel', event => {
+        if (!event.ctrlKey && !event.metaKey) return;
+        event.preventDefault();
+        const point = pointInViewport(event);
+        zoomTo(event.deltaY < 0 ? zoom * 1.1 : zoom / 1.1, point.x, point.y);
+    }, { passive: false });
+
+    // Drag to pan while zoomed in, with a mouse, pen or finger
+    viewport.addEventListener('pointerdown', event => {
+        if (zoom === 1) return;
+        drag = { pointerId: event.pointerId, x: event.clientX - pan.x, y: event.clientY - pan.y };
+        viewport.setPointerCapture(event.pointerId);
+        viewport.classList.add('dragging');
+    });
+    viewport.addEventListener('pointermove', event => {
+        if (!drag || drag.pointerId !== event.pointerId) return;
+        pan = { x: event.clientX - drag.x, y: event.clientY - drag.y };
+        clampPan();
+        render();
+    });
+    const endDrag = () => {
+        drag = null;
+        viewport.classList.remove('dragging');
+    };
+    viewport.addEventListener('pointerup', endDrag);
+    viewport.addEventListener('pointercancel', endDrag);
+
+    /**
+     * Show a step picture
+     * @param {Object} next
+     * @param {string} next.imageUrl - The step's image
+     * @param {string} next.alt - Its text alternative
+     * @param {string|null} next.overlayUrl - Its new-lines overlay
+     * @param {string|null} next.previousUrl - Image of the step before it, for the wipe and onion modes
+     * @param {string|null} next.referenceUrl - The finished reference sketch, for the peek
+     * @param {string} next.referenceAlt - Text alternative of the reference sketch
+     */
+    function show(next) {
+        // A different step starts unzoomed, with the wipe in the middle and the reference hidden
+        if (!images || images.imageUrl !== next.imageUrl) {
+            zoom = 1;
+            pan = { x: 0, y: 0 };
+            peeking = false;
+            wipeSlider.value = 50;
+        }
+        images = next;
+
+        currentImage.src = next.imageUrl;
+        currentImage.alt = next.alt;
+        if (next.overlayUrl) {
+            overlayImage.src = next.overlayUrl;
+        } else {
+            overlayImage.removeAttribute('src');
+        }
+        if (next.previousUrl) {
+            previousImage.src = next.previousUrl;
+        } else {
+            previousImage.removeAttribute('src');
+        }
+        if (next.referenceUrl) {
+            referenceImage.src = next.referenceUrl;
+            referenceImage.alt = next.referenceAlt;
+        }
+
+        if (viewport.parentNode !== container) {
+            container.innerHTML = '';
+            container.appendChild(viewport);
+        }
+        controls.classList.remove('hidden');
+        render();
+    }
+
+    // Show or hide the highlight of the step's new lines
+    function setOverlayVisible(visible) {
+        overlayVisible = visible;
+        render();
+    }
+
+    // Hide the controls while there is no step picture; the caller puts a placeholder in the container
+    function hide() {
+        images = null;
+        controls.classList.add('hidden');
+    }
+
+    return { show, hide, setOverlayVisible };
+}
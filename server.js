@@ -4,7 +4,24 @@ const multer = require('multer');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
+const { createProvider } = require('./providers');
+const { createJobQueue } = require('./job-queue');
+const { createTutorialStore } = require('./tutorial-store');
+const { createProfileStore, parseProfileInput, recordProgress, addDrawing, forgetTutorial, profileAssetUrls, AVATARS } = require('./profile-store');
+const { createTtsEngine } = require('./tts');
+const { parsePlanResponse, normalizePlanStep, MAX_OBJECTIVE_LENGTH } = require('./plan-schema');
+const { parseFeedbackResponse } = require('./feedback-schema');
+const { buildWorksheetPdf, parseWorksheetOptions } = require('./worksheet-pdf');
+const { createBundle, readBundle, mapAssetRefs } = require('./tutorial-bundle');
+const { createGenerationCache } = require('./generation-cache');
+const { ingestImage } = require('./image-ingest');
+const { diffStepImages } = require('./step-diff');
+const { checkStepProgress, parseVisionCheckResponse, visionChecks } = require('./step-validation');
+const { createStorageSweeper, DAY_MS } = require('./storage-sweeper');
+const { createAssetStorage, createLocalStorage } = require('./storage');
+const { parseLanguage, translate, languageInstruction, DEFAULT_LANGUAGE } = require('./i18n');
+const { parseStepCountRequest, stepRangeFor, defaultStepCount, parseStepCountResponse, MAX_STEPS } = require('./step-count');
 
 // Load environment variables
 dotenv.config();
@@ -17,8 +34,6 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json({ limit: '10mb' })); // Increase limit for base64 images
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
-app.use('/generated', express.static('generated')); // Serve generated images
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -33,19 +48,192 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: (Number(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024 // 5MB limit by default
   }
 });
 
-// Ensure directories exist
-['uploads', 'generated'].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir);
+// Longest side of uploads after ingestion; larger images are downscaled before any model sees them
+const UPLOAD_MAX_DIMENSION = parseInt(process.env.UPLOAD_MAX_DIMENSION, 10) || 1536;
+
+// Tutorial bundles are unpacked in memory, never written to uploads/ as they are
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+// Raw uploads stay on local disk and are never served; generated images and audio go to the
+// configured storage backend (local generated/ by default, or an S3-compatible bucket)
+const uploadStorage = createLocalStorage({ directory: 'uploads', baseUrl: '/uploads' });
+const assetStorage = createAssetStorage();
+console.log(`Using storage backend "${assetStorage.name}"`);
+if (assetStorage.name === 'local') {
+  app.use(assetStorage.baseUrl, express.static(assetStorage.directory)); // Serve generated images
+}
+
+// Library of finished tutorials, one JSON manifest per tutorial
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const tutorialStore = createTutorialStore({ directory: path.join(DATA_DIR, 'tutorials') });
+
+// Learner profiles with each child's progress and saved drawings, one JSON file per child
+const profileStore = createProfileStore({ directory: path.join(DATA_DIR, 'profiles') });
+
+// Cache of sketches, descriptions, step counts and plans, so the same upload doesn't repeat every model call
+const parsedCacheMb = Number(process.env.GENERATION_CACHE_MB || 200);
+if (!Number.isFinite(parsedCacheMb) || parsedCacheMb < 0) {
+  console.warn(`Ignoring GENERATION_CACHE_MB="${process.env.GENERATION_CACHE_MB}" (expected a number of megabytes), using 200`);
+}
+const generationCache = createGenerationCache({
+  directory: path.join(DATA_DIR, 'cache'),
+  maxBytes: (Number.isFinite(parsedCacheMb) && parsedCacheMb >= 0 ? parsedCacheMb : 200) * 1024 * 1024
+});
+
+// Bump a stage's version whenever its prompt changes, so results from the old prompt aren't reused
+const PROMPT_VERSIONS = { sketch: 1, describe: 1, 'step-count': 2, plan: 1 };
+
+// Initialize the model provider (Gemini, or the offline stub when MODEL_PROVIDER=stub or no key is set)
+const provider = createProvider();
+console.log(`Using model provider "${provider.name}":`, provider.models);
+
+// Checks on every step image (see step-validation.js): `basic` compares it with the previous step and the
+// reference sketch, `vision` also asks the vision model what was added, `off` skips them
+const STEP_VALIDATION = ['off', 'basic', 'vision'].includes(process.env.STEP_VALIDATION) ? process.env.STEP_VALIDATION : 'basic';
+// How many more times a step that fails its checks is drawn before the best attempt is kept; every retry is
+// another paid image-model call, so a failing step costs up to 1 + retries images
+const parsedStepRetries = parseInt(process.env.STEP_VALIDATION_RETRIES, 10);
+const STEP_VALIDATION_RETRIES = Number.isInteger(parsedStepRetries) && parsedStepRetries >= 0 ? parsedStepRetries : 1;
+console.log(`Step image validation: ${STEP_VALIDATION}${STEP_VALIDATION === 'off' ? '' : `, up to ${STEP_VALIDATION_RETRIES} retries`}`);
+
+// Initialize the narration engine (offline by default, see TTS_ENGINE)
+const ttsEngine = createTtsEngine();
+console.log(`Using narration engine "${ttsEngine ? ttsEngine.name : 'none'}"`);
+
+// Queue for tutorial generation jobs, so simultaneous uploads don't all hit the model provider at once
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxPending: parseInt(process.env.JOB_QUEUE_LIMIT, 10) || 20,
+  retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60) * 60 * 1000
+});
+
+// Retention policy for uploads/ and generated/ (see README for the settings)
+const KEEP_UPLOADS = process.env.UPLOAD_RETENTION === 'keep';
+const storageSweeper = createStorageSweeper({
+  stores: { uploads: uploadStorage, generated: assetStorage },
+  listTutorials: () => tutorialStore.listManifests(),
+  tutorialAssetUrls: tutorial => tutorialAssetUrls(tutorial),
+  otherAssetUrls: async () => (await profileStore.listProfiles()).flatMap(profileAssetUrls),
+  removeTutorial: async tutorial => {
+    // Leave tutorials alone while a job is editing them
+    if (tutorialsBeingEdited.has(tutorial.id)) return false;
+    await tutorialStore.remove(tutorial.id);
+    await deleteAssets(tutorialAssetUrls(tutorial));
+    await forgetTutorialInProfiles(tutorial.id);
+    return true;
+  },
+  policy: {
+    draftMaxAgeMs: Number(process.env.DRAFT_RETENTION_DAYS || 7) * DAY_MS,
+    orphanGraceMs: Number(process.env.ORPHAN_GRACE_HOURS || 24) * 60 * 60 * 1000,
+    limitBytes: Number(process.env.STORAGE_LIMIT_MB || 2048) * 1024 * 1024,
+    intervalMs: (Number(process.env.SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000
   }
 });
 
-// Initialize Google Generative AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg'
+};
+
+// Function to guess a stored file's MIME type from its URL
+function mimeTypeForUrl(url) {
+  return MIME_TYPES[path.extname(url).toLowerCase()] || 'application/octet-stream';
+}
+
+// Function to find the storage a URL belongs to, or null for anything else
+function storageFor(url) {
+  return [assetStorage, uploadStorage].find(storage => storage.owns(url)) || null;
+}
+
+// Function to read a stored file; resolves to null if it is missing or not ours
+async function readAsset(url) {
+  const storage = storageFor(url);
+  return storage ? storage.get(url) : null;
+}
+
+// Function to list every asset URL a tutorial manifest refers to
+function tutorialAssetUrls(tutorial) {
+  const urls = [];
+  if (tutorial.source) urls.push(tutorial.source.imageUrl);
+  if (tutorial.sketch) urls.push(tutorial.sketch.imageUrl, tutorial.sketch.audio);
+  (tutorial.steps || []).forEach(step => urls.push(step.imageUrl, step.overlayUrl, step.audio));
+  if (tutorial.practice) urls.push(tutorial.practice.imageUrl);
+  return urls.filter(Boolean);
+}
+
+// Function to drop a deleted tutorial from every learner's progress, with the drawings they saved of it
+// Every profile goes through the store's queue, even one without the tutorial: progress or a drawing being saved
+// for it at this moment is then either forgotten here or turned away because the tutorial is gone
+async function forgetTutorialInProfiles(tutorialId) {
+  for (const profile of await profileStore.listProfiles()) {
+    let droppedUrls = [];
+    await profileStore.update(profile.id, current => {
+      if (!current.progress[tutorialId]) return current;
+      const result = forgetTutorial(current, tutorialId);
+      droppedUrls = result.droppedUrls;
+      return result.profile;
+    });
+    await deleteAssets(droppedUrls);
+  }
+}
+
+// Function to describe a learner profile for the progress dashboard: its progress as a list, most recent
+// first, with the title, thumbnail and step count of each tutorial
+async function describeProfile(profile) {
+  const tutorials = new Map((await tutorialStore.list()).map(summary => [summary.id, summary]));
+  const { progress, ...rest } = profile;
+  return {
+    ...rest,
+    progress: Object.entries(progress)
+      .map(([tutorialId, entry]) => {
+        const tutorial = tutorials.get(tutorialId);
+        return {
+          tutorialId,
+          title: tutorial ? tutorial.title : null,
+          thumbnailUrl: tutorial ? tutorial.thumbnailUrl : null,
+          stepCount: tutorial ? tutorial.stepCount : null,
+          ...entry
+        };
+      })
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  };
+}
+
+// Function to delete asset files, ignoring ones that are already gone
+async function deleteAssets(urls) {
+  for (const url of urls) {
+    const storage = storageFor(url);
+    if (!storage) continue;
+    await storage.remove(url).catch(error => {
+      console.error(`Failed to delete ${url}:`, error.message);
+    });
+  }
+}
+
+// Function to load a stored image back as inline data for the model; resolves to null if it is missing
+async function loadAssetImageData(url) {
+  const imageBuffer = await readAsset(url);
+  if (!imageBuffer) return null;
+  return {
+    data: imageBuffer.toString('base64'),
+    mimeType: mimeTypeForUrl(url)
+  };
+}
 
 // Function to encode image to base64
 function imageToBase64(filePath) {
@@ -53,8 +241,8 @@ function imageToBase64(filePath) {
   return imageBuffer.toString('base64');
 }
 
-// Function to save base64 image data to a file
-function saveGeneratedImage(imageData, mimeType, filename) {
+// Function to save base64 image data to asset storage; resolves to its URL
+async function saveGeneratedImage(imageData, mimeType, filename) {
   try {
     // Determine file extension based on MIME type
     let extension = '';
@@ -69,19 +257,19 @@ function saveGeneratedImage(imageData, mimeType, filename) {
       case 'image/gif':
         extension = '.gif';
         break;
+      case 'image/webp':
+        extension = '.webp';
+        break;
       default:
         extension = '.png'; // Default to PNG
     }
     
-    // Create file path
-    const filePath = path.join('generated', `${filename}${extension}`);
-    
     // Convert base64 data to buffer and save
     const imageBuffer = Buffer.from(imageData, 'base64');
-    fs.writeFileSync(filePath, imageBuffer);
+    const imageUrl = await assetStorage.put(`${filename}${extension}`, imageBuffer, MIME_TYPES[extension]);
     
-    console.log(`Image saved successfully to ${filePath}`);
-    return `/generated/${filename}${extension}`; // Return URL path
+    console.log(`Image saved successfully to ${imageUrl}`);
+    return imageUrl;
   } catch (error) {
     console.error('Error saving image:', error);
     throw error;
@@ -90,12 +278,16 @@ function saveGeneratedImage(imageData, mimeType, filename) {
 
 
 
-// Function to generate step image using Gemini models with improved flow for children
-async function generateStepImage(stepDescription, referenceImageData, previousStepsImagesData, stepNumber, totalSteps) {
+// Function to generate step image with the image model, with improved flow for children
+// `correction` says what was wrong with a rejected attempt at the same step
+async function generateStepImage(planStep, referenceImageData, previousStepsImagesData, stepNumber, totalSteps, { correction = null } = {}) {
   try {
-    // Use gemini-2.5-flash-image-preview for image generation
-    const imageGenModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash-image-preview" });
-    
+    const stepDescription = planStep.objective;
+    const guidance = [
+      planStep.focus ? `- Pay attention to: ${planStep.focus}` : null,
+      planStep.avoid ? `- Avoid: ${planStep.avoid}` : null
+    ].filter(Boolean).join('\n');
+
     // Create a more structured and educational prompt for children
     const imagePrompt = `You are a patient art teacher helping children learn to draw step by step.
     
@@ -106,88 +298,211 @@ IMPORTANT INSTRUCTIONS FOR THIS STEP:
 - MAINTAIN the progress from the previous step
 - Keep the drawing in black and white pencil style, no colors
 - Show clear progression but don't rush to finish the entire drawing early
+${guidance}${correction ? `
+
+A PREVIOUS ATTEMPT AT THIS STEP WAS REJECTED:
+${correction}` : ''}
 
 Create a black and white pencil drawing that shows ONLY the progress for this specific step. Focus exclusively on "${stepDescription}" and nothing else.`;
     
     console.log(`Generating step ${stepNumber}/${totalSteps} image with prompt:`, imagePrompt.substring(0, 100) + "...");
     
-    // Construct the content array with the prompt, reference image, and ONLY the previous step image
-    const content = [imagePrompt, { inlineData: referenceImageData }];
+    // Construct the image list with the reference image and ONLY the previous step image
+    const images = [referenceImageData];
     
     // Only use the immediately previous step image (if it exists) to prevent overcomplication
     // This makes each step depend only on the immediately previous one, making clearer progression
     if (previousStepsImagesData.length > 0) {
       // Use only the last (most recent) previous step image
       const previousStepImageData = previousStepsImagesData[previousStepsImagesData.length - 1];
-      content.push({ inlineData: previousStepImageData });
+      images.push(previousStepImageData);
     }
 
-    console.log(`Content sent for step ${stepNumber}:`, { prompt: content[0], imageCount: content.length - 1 });
+    console.log(`Content sent for step ${stepNumber}:`, { prompt: imagePrompt, imageCount: images.length });
 
     // Try to generate the step image, providing the reference sketch and previous steps
-    const imageResult = await imageGenModel.generateContent(content);
-    const imageResponse = await imageResult.response;
-    console.log(`Full step ${stepNumber}/${totalSteps} response:`, JSON.stringify(imageResponse, null, 2));
-    
-    // Check if we got image data in the response
-    let imageUrl = null;
+    const imageData = await provider.generateImage(imagePrompt, images, {
+      task: 'step-image',
+      step: stepNumber,
+      totalSteps
+    });
     
-    if (imageResponse.candidates && imageResponse.candidates.length > 0) {
-      const candidate = imageResponse.candidates[0];
-      if (candidate.content && candidate.content.parts) {
-        for (const part of imageResponse.candidates[0].content.parts) {
-          if (part.inlineData) {
-            console.log(`Found image data for step ${stepNumber} in part.inlineData`);
-            try {
-              const filename = `step_${stepNumber}_${Date.now()}`;
-              const imageUrl = saveGeneratedImage(
-                part.inlineData.data,
-                part.inlineData.mimeType,
-                filename
-              );
-              console.log(`✓ Step ${stepNumber}/${totalSteps} image generated and saved successfully`);
-              return { imageUrl, imageData: part.inlineData }; // Return URL and data
-            } catch (saveError) {
-              console.error(`Failed to save step ${stepNumber} image:`, saveError);
-            }
-            break; // Exit loop once image is found and processed
-          }
-        }
+    if (imageData) {
+      try {
+        const filename = `step_${stepNumber}_${Date.now()}`;
+        const imageUrl = await saveGeneratedImage(imageData.data, imageData.mimeType, filename);
+        console.log(`✓ Step ${stepNumber}/${totalSteps} image generated and saved successfully`);
+        return { imageUrl, imageData, fallback: null }; // Return URL and data
+      } catch (saveError) {
+        console.error(`Failed to save step ${stepNumber} image:`, saveError);
+        return { imageUrl: null, imageData: null, fallback: `The image could not be saved: ${saveError.message}` };
       }
     }
     
-    // If we get here, no image was generated or found in the expected structure
+    // If we get here, no image was generated
     console.log(`No image data received for step ${stepNumber} in the expected structure.`);
-    return { imageUrl: null, imageData: null };
+    return { imageUrl: null, imageData: null, fallback: 'The model returned no image' };
   } catch (error) {
+    // Don't keep drawing steps without pictures while the provider is down
+    if (error.code === 'CIRCUIT_OPEN') throw error;
     console.error(`Error generating step ${stepNumber} image:`, error.message);
+    return { imageUrl: null, imageData: null, fallback: error.message };
+  }
+}
+
+// Function to ask the vision model whether a step image added its objective and nothing else
+// Resolves to the parsed answer, or { error } when the model gave none; the image checks still apply then
+async function visionCheckStep(planStep, imageData, previousImageData, referenceImageData, stepNumber, totalSteps) {
+  const images = [
+    { image: referenceImageData, label: 'The finished reference sketch (the final goal)' },
+    previousImageData ? { image: previousImageData, label: `The drawing after step ${stepNumber - 1}` } : null,
+    { image: imageData, label: `The drawing after step ${stepNumber} of ${totalSteps}, the one to check` }
+  ].filter(Boolean);
+
+  const prompt = `You are checking one picture of a step-by-step drawing tutorial for children.
+
+Step ${stepNumber} of ${totalSteps} should add ONLY this to the drawing: "${planStep.objective}"
+
+IMAGES:
+${images.map((entry, index) => `${index + 1}. ${entry.label}`).join('\n')}
+
+Respond with ONLY a JSON object like:
+{
+  "objectiveAdded": true,
+  "onlyObjectiveAdded": true,
+  "keptPreviousWork": true,
+  "problem": "One short sentence about what is wrong, or an empty string"
+}
+- "objectiveAdded": the drawing to check shows what step ${stepNumber} asks for
+- "onlyObjectiveAdded": nothing from later steps was added, and it is not already the finished picture
+- "keptPreviousWork": ${previousImageData ? `the lines of the step ${stepNumber - 1} drawing are still there and were not redrawn differently` : 'always true for the first step'}`;
+
+  try {
+    const answer = await provider.analyzeImages(prompt, images.map(entry => entry.image), {
+      task: 'step-check',
+      step: stepNumber,
+      totalSteps,
+      json: true
+    });
+    const { answer: parsed, errors } = parseVisionCheckResponse(answer);
+    return parsed || { error: `Invalid answer: ${errors.join('; ')}` };
+  } catch (error) {
+    if (error.code === 'CIRCUIT_OPEN') throw error;
+    console.error(`Error checking step ${stepNumber} with the vision model:`, error.message);
+    return { error: error.message };
+  }
+}
+
+// Function to check a step image against the previous step and the reference sketch (and the vision model, if enabled)
+// When the images can't be compared (e.g. one can't be decoded) the report only carries the `error`; the image is
+// still usable, so it is kept rather than failing the whole tutorial
+async function validateStepImage(planStep, imageData, previousImageData, referenceImageData, stepNumber, totalSteps) {
+  const toBuffer = data => (data ? Buffer.from(data.data, 'base64') : null);
+  let metrics;
+  let checks;
+  try {
+    ({ metrics, checks } = await checkStepProgress({
+      image: toBuffer(imageData),
+      previousImage: toBuffer(previousImageData),
+      referenceImage: toBuffer(referenceImageData),
+      stepNumber,
+      totalSteps
+    }));
+  } catch (error) {
+    console.error(`Failed to check step ${stepNumber}:`, error.message);
+    return { passed: null, checks: [], metrics: null, vision: null, error: error.message };
+  }
+
+  let vision = null;
+  if (STEP_VALIDATION === 'vision') {
+    vision = await visionCheckStep(planStep, imageData, previousImageData, referenceImageData, stepNumber, totalSteps);
+    if (!vision.error) {
+      checks.push(...visionChecks(vision, planStep.objective));
+    }
+  }
+
+  return { passed: checks.every(check => check.passed), checks, metrics, vision };
+}
+
+// Function to draw a step image and validate it, drawing it again (told what was wrong) while it fails its checks;
+// `onRetry(attempt)` is called before every new attempt
+// Keeps the attempt that failed the fewest checks; `validation` is the report of the kept image, or null when
+// validation is off or no image could be drawn at all
+async function generateValidatedStepImage(planStep, referenceImageData, previousStepsImagesData, stepNumber, totalSteps, onRetry = () => {}) {
+  if (STEP_VALIDATION === 'off') {
+    return { ...(await generateStepImage(planStep, referenceImageData, previousStepsImagesData, stepNumber, totalSteps)), validation: null };
+  }
+
+  const previousImageData = previousStepsImagesData[previousStepsImagesData.length - 1] || null;
+  let best = null;
+  let correction = null;
+  let attempts = 0;
+
+  while (attempts <= STEP_VALIDATION_RETRIES) {
+    attempts++;
+    if (attempts > 1) onRetry(attempts);
+    const result = await generateStepImage(planStep, referenceImageData, previousStepsImagesData, stepNumber, totalSteps, { correction });
+    if (!result.imageData) {
+      // Nothing to check; keep an earlier attempt if there is one
+      if (!best) return { ...result, validation: null };
+      break;
+    }
+
+    const validation = await validateStepImage(planStep, result.imageData, previousImageData, referenceImageData, stepNumber, totalSteps);
+    if (validation.error) {
+      // Couldn't be checked: drawing it again wouldn't tell us more, so keep this attempt
+      if (best) await deleteAssets([best.imageUrl]);
+      best = { ...result, validation, failedCount: 0 };
+      break;
+    }
+    const failed = validation.checks.filter(check => !check.passed);
+    console.log(`Step ${stepNumber} attempt ${attempts}: ${validation.passed ? 'passed' : `failed ${failed.map(check => check.name).join(', ')}`}`);
+
+    if (!best || failed.length < best.failedCount) {
+      if (best) await deleteAssets([best.imageUrl]);
+      best = { ...result, validation, failedCount: failed.length };
+    } else {
+      await deleteAssets([result.imageUrl]);
+    }
+    if (validation.passed) break;
+    correction = failed.map(check => `- ${check.message}`).join('\n');
+  }
+
+  const { failedCount, ...kept } = best;
+  return { ...kept, validation: { ...kept.validation, attempts, mode: STEP_VALIDATION } };
+}
+
+// Function to highlight the lines a step adds to the previous step's picture (every line, for the first step)
+// Resolves to the overlay's URL, or null when it can't be made; a step is still usable without one
+async function generateStepOverlay(imageData, previousImageData, stepNumber) {
+  try {
+    const { overlay, offset, newInkRatio } = await diffStepImages(
+      previousImageData ? Buffer.from(previousImageData.data, 'base64') : null,
+      Buffer.from(imageData.data, 'base64')
+    );
+    const overlayUrl = await assetStorage.put(`step_${stepNumber}_new_lines_${Date.now()}.png`, overlay, 'image/png');
+    console.log(`Step ${stepNumber} overlay saved to ${overlayUrl} (${Math.round(newInkRatio * 100)}% new lines, aligned by ${offset.x},${offset.y})`);
+    return overlayUrl;
+  } catch (error) {
+    console.error(`Failed to highlight the new lines of step ${stepNumber}:`, error.message);
     return null;
   }
 }
 
-// Function to analyze uploaded image using Gemini vision model
-async function analyzeImage(imagePath) {
+// Function to analyze uploaded image using the vision model; the description is written in the tutorial's language
+async function analyzeImage(imagePath, mimeType, language) {
   try {
-    // Use gemini-1.5-flash for image analysis
-    const visionModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
     const imageBase64 = imageToBase64(imagePath);
     
     // Get image description
-    const visionPrompt = "Describe the main subject of this image in detail, focusing on shapes, proportions, and key features.";
+    const visionPrompt = "Describe the main subject of this image in detail, focusing on shapes, proportions, and key features." + languageInstruction(language);
     
-    const visionResult = await visionModel.generateContent([
-      visionPrompt,
+    const imageDescription = await provider.analyzeImages(visionPrompt, [
       {
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg'
-        }
+        data: imageBase64,
+        mimeType
       }
-    ]);
-    
-    const visionResponse = await visionResult.response;
-    const imageDescription = visionResponse.text();
+    ], { task: 'describe' });
     
     return imageDescription;
   } catch (error) {
@@ -199,10 +514,8 @@ async function analyzeImage(imagePath) {
 
 
 // Function to generate the text for the next drawing step with improved educational approach for children
-async function generateNextStepText(referenceImageData, previousStepsImagesData, currentStepNumber, totalSteps) {
+async function generateNextStepText(referenceImageData, previousStepsImagesData, currentStepNumber, totalSteps, language) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
     const prompt = `You are a patient and encouraging art teacher teaching children how to draw step by step.
     
 IMPORTANT CONTEXT:
@@ -230,18 +543,17 @@ EXAMPLE BAD INSTRUCTIONS:
 - "Draw the face" (too broad)
 - "Complete the drawing" (jumps ahead)
 
-Provide only the specific instruction for this step.`;
+Provide only the specific instruction for this step.${languageInstruction(language)}`;
 
-    // Construct the content array with the prompt, reference image, and all previous step images
-    const content = [prompt, { inlineData: referenceImageData }];
-    previousStepsImagesData.forEach(imgData => {
-      content.push({ inlineData: imgData });
-    });
+    // Send the reference image followed by all previous step images
+    const images = [referenceImageData, ...previousStepsImagesData];
 
     console.log(`Generating text for step ${currentStepNumber}/${totalSteps}...`);
-    const result = await model.generateContent(content);
-    const response = await result.response;
-    const nextStepText = response.text();
+    const nextStepText = await provider.analyzeImages(prompt, images, {
+      task: 'step-text',
+      step: currentStepNumber,
+      totalSteps
+    });
     
     console.log(`Generated step ${currentStepNumber}/${totalSteps} text:`, nextStepText);
     return nextStepText;
@@ -249,296 +561,1504 @@ Provide only the specific instruction for this step.`;
   } catch (error) {
     console.error('Error generating next step text:', error.message);
     // Return a generic instruction if the analysis fails
-    return "Draw the next part of your picture.";
+    return translate(language, 'content.nextStepFallback');
   }
 }
 
-// Function to generate audio narration
-async function generateAudioNarration(text) {
+// Function to save generated audio to asset storage; resolves to its URL
+async function saveGeneratedAudio(audioBuffer, extension, filename) {
+  const audioUrl = await assetStorage.put(`${filename}${extension}`, audioBuffer, mimeTypeForUrl(extension));
+  console.log(`Audio saved successfully to ${audioUrl}`);
+  return audioUrl;
+}
+
+// Function to generate audio narration in the tutorial's language; returns the audio URL, or null if narration is off or fails
+async function generateAudioNarration(text, name, language) {
+  if (!ttsEngine || !text) {
+    return null;
+  }
   try {
-    // This is a placeholder implementation
     console.log('Generating audio for text:', text.substring(0, 50) + '...');
-    return 'audio_placeholder.mp3';
+    const audio = await ttsEngine.synthesize(text, { language });
+    return await saveGeneratedAudio(audio.data, audio.extension, `narration_${name}_${Date.now()}`);
   } catch (error) {
-    console.error('Error generating audio:', error);
-    throw error;
+    // A missing narration shouldn't fail the whole tutorial
+    console.error('Error generating audio:', error.message);
+    return null;
+  }
+}
+
+// Function to describe how detailed the reference sketch should be for a difficulty level
+function sketchStylePrompt(difficulty) {
+  switch (difficulty.toLowerCase()) {
+    case 'beginner':
+      return 'as a very simple black and white pencil sketch, with only the most basic outlines and minimal detail. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
+    case 'intermediate':
+      return 'as a moderately detailed black and white pencil sketch, with clear lines and some shading. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
+    case 'advanced':
+      return 'as a highly detailed black and white pencil sketch, with intricate lines, shading, and texture. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
+    default:
+      return 'as a black and white pencil sketch. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
+  }
+}
+
+// Function to save a generated reference sketch; returns its URL and data, or nulls if the model drew nothing
+async function saveReferenceSketch(imageData) {
+  if (imageData) {
+    const filename = `reference_sketch_${Date.now()}`;
+    const imageUrl = await saveGeneratedImage(imageData.data, imageData.mimeType, filename);
+    console.log("✓ Reference sketch generated successfully with strict pencil style");
+    return { imageUrl, imageData }; // Return URL and data for later use
   }
+  console.log("No image data received from model for reference sketch.");
+  return { imageUrl: null, imageData: null };
 }
 
 // Function to generate a pencil sketch from an uploaded image with strict black and white pencil style
-async function generatePencilSketchFromImage(imagePath, difficulty) {
+async function generatePencilSketchFromImage(imagePath, mimeType, difficulty) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash-image-preview" });
-
     const imageBase64 = imageToBase64(imagePath);
-
-    let detailPrompt = '';
-    switch (difficulty.toLowerCase()) {
-      case 'beginner':
-        detailPrompt = 'as a very simple black and white pencil sketch, with only the most basic outlines and minimal detail. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
-        break;
-      case 'intermediate':
-        detailPrompt = 'as a moderately detailed black and white pencil sketch, with clear lines and some shading. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
-        break;
-      case 'advanced':
-        detailPrompt = 'as a highly detailed black and white pencil sketch, with intricate lines, shading, and texture. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
-        break;
-      default:
-        detailPrompt = 'as a black and white pencil sketch. CRITICALLY IMPORTANT: Use ONLY black and white, NO COLORS WHATSOEVER. Style: pencil drawing.';
-    }
-
-    const prompt = `Convert the uploaded image into ${detailPrompt} Ensure the result is appropriate for children learning to draw and maintains a clear, educational style.`;
+    const prompt = `Convert the uploaded image into ${sketchStylePrompt(difficulty)} Ensure the result is appropriate for children learning to draw and maintains a clear, educational style.`;
 
     console.log("Generating reference sketch from image with strict pencil style...");
-    const result = await model.generateContent([
-      prompt,
+    const imageData = await provider.generateImage(prompt, [
       {
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg' // Assuming jpeg, might need to be dynamic
-        }
-      }
-    ]);
-    const response = await result.response;
-
-    for (const part of response.candidates[0].content.parts) {
-      if (part.inlineData) {
-        const filename = `reference_sketch_${Date.now()}`;
-        const imageUrl = saveGeneratedImage(
-          part.inlineData.data,
-          part.inlineData.mimeType,
-          filename
-        );
-        console.log("✓ Reference sketch generated successfully with strict pencil style");
-        return { imageUrl, imageData: part.inlineData }; // Return URL and data for later use
+        data: imageBase64,
+        mimeType
       }
-    }
-    console.log("No image data received from model for reference sketch.");
-    return { imageUrl: null, imageData: null };
+    ], { task: 'sketch', difficulty });
+
+    return await saveReferenceSketch(imageData);
   } catch (error) {
+    // There is no fallback for the reference sketch, so let the job fail with the real reason
     console.error('Error generating pencil sketch from image:', error.message);
-    return { imageUrl: null, imageData: null };
+    throw error;
   }
 }
 
-// Function to determine the optimal number of steps based on image complexity
-async function determineOptimalSteps(referenceImageData, imageDescription) {
+// Function to generate a pencil sketch from a text prompt (e.g. "a dragon riding a bike") with the same strict style
+async function generatePencilSketchFromText(description, difficulty) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    const prompt = `Analyze this image and its description to determine the optimal number of steps for a children's drawing tutorial.
+    const prompt = `Draw "${description}" ${sketchStylePrompt(difficulty)} Show the subject clearly on a plain white background with no text or lettering. Ensure the result is appropriate for children learning to draw and maintains a clear, educational style.`;
+
+    console.log("Generating reference sketch from text prompt with strict pencil style...");
+    const imageData = await provider.generateImage(prompt, [], { task: 'sketch', difficulty });
+
+    return await saveReferenceSketch(imageData);
+  } catch (error) {
+    console.error('Error generating pencil sketch from text:', error.message);
+    throw error;
+  }
+}
+
+// Function to describe a reference sketch that was drawn from a text prompt
+// There is no photo to analyze, so the description comes from the sketch itself, with the prompt as a hint
+async function describeSketch(referenceSketchData, description, language) {
+  try {
+    const visionPrompt = `This pencil sketch was drawn for the request "${description}". Describe the main subject of this image in detail, focusing on shapes, proportions, and key features.${languageInstruction(language)}`;
+    return await provider.analyzeImages(visionPrompt, [referenceSketchData], { task: 'describe' });
+  } catch (error) {
+    console.error('Error describing sketch:', error.message);
+    throw error;
+  }
+}
+
+// Function to determine the optimal number of steps based on image complexity, within the range for the difficulty level
+// Returns { totalSteps, reason, fallback }, where fallback explains why the default was used (or is null)
+async function determineOptimalSteps(referenceImageData, imageDescription, range, difficulty, language) {
+  const defaultSteps = defaultStepCount(range);
+  const useDefault = problem => ({
+    totalSteps: defaultSteps,
+    reason: translate(language, 'stepCount.default'),
+    fallback: problem
+  });
+
+  try {
+    const prompt = `Analyze this image and its description to determine the optimal number of steps for a children's drawing tutorial at the ${difficulty} level.
     
 Consider:
     - Image complexity (simple shapes, moderate detail, complex details)
     - Number of distinct elements that need to be drawn separately
     - Logical progression for children learning to draw
     
-Respond with JUST a number between 8 and 20 representing the optimal number of steps.
-    - Simple images (basic shapes, few elements): 8-12 steps
-    - Moderate images (several elements, some detail): 12-16 steps
-    - Complex images (many elements, lots of detail): 16-20 steps
+The number of steps MUST be between ${range.min} and ${range.max}.
+    - Simple images (basic shapes, few elements): the lower end of the range
+    - Moderate images (several elements, some detail): the middle of the range
+    - Complex images (many elements, lots of detail): the upper end of the range
     
 Image Description: ${imageDescription}
 
-Return ONLY the number of steps as a single integer.`;
+Respond with ONLY a JSON object like {"steps": ${defaultSteps}, "reason": "The cat has a few simple shapes, so a handful of steps is enough."}
+where "reason" is one short sentence a child or parent would understand.${languageInstruction(language, { json: true })}`;
 
-    const content = [prompt, { inlineData: referenceImageData }];
-    const result = await model.generateContent(content);
-    const response = await result.response;
-    const stepsText = response.text();
-    
-    // Extract the number from the response
-    const stepsNumber = parseInt(stepsText.trim());
+    const stepsText = await provider.analyzeImages(prompt, [referenceImageData], { task: 'step-count', range, json: true });
+    const { totalSteps, reason, clamped } = parseStepCountResponse(stepsText, range);
     
-    // Ensure the number is within reasonable bounds
-    if (isNaN(stepsNumber) || stepsNumber < 8 || stepsNumber > 20) {
-      console.log("Could not determine optimal steps, using default of 12");
-      return 12;
+    if (!totalSteps) {
+      console.log(`Could not determine optimal steps, using default of ${defaultSteps}`);
+      return useDefault(`Unexpected step count answer: ${stepsText.trim().slice(0, 40)}`);
     }
     
-    console.log(`Determined optimal number of steps: ${stepsNumber}`);
-    return stepsNumber;
+    console.log(`Determined optimal number of steps: ${totalSteps}`);
+    const explanation = reason || translate(language, 'stepCount.picked');
+    return {
+      totalSteps,
+      reason: clamped ? `${explanation} ${translate(language, 'stepCount.clamped', range)}` : explanation,
+      fallback: null
+    };
   } catch (error) {
+    if (error.code === 'CIRCUIT_OPEN') throw error;
     console.error('Error determining optimal steps:', error.message);
-    return 12; // Default fallback
+    return useDefault(error.message);
   }
 }
 
-// Function to generate a structured plan for the drawing tutorial
-async function generateTutorialPlan(referenceImageData, imageDescription, totalSteps) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    const prompt = `Create a structured plan for teaching children to draw this image in ${totalSteps} steps.
+// Function to settle the step count of a new tutorial: the user's exact count, or the model's pick
+// within the difficulty's range (narrowed by a "fewer"/"more" preference); cached like the other planning stages
+async function chooseStepCount({ sourceKey, sketchHash, level, language, force, stepRequest }, referenceSketchData, imageDescription) {
+  if (stepRequest.steps) {
+    return { totalSteps: stepRequest.steps, reason: translate(language, 'stepCount.requested', { count: stepRequest.steps }), fallback: null };
+  }
+
+  const range = stepRangeFor(level, stepRequest.preference);
+  // Fallback results are never cached, so the next upload tries the model again
+  return cachedResult(
+    generationCacheKey('step-count', { ...sourceKey, sketchHash, difficulty: level, range, language }),
+    force,
+    () => determineOptimalSteps(referenceSketchData, imageDescription, range, level, language),
+    result => !result.fallback
+  );
+}
+
+// How many times to ask for a valid JSON plan before falling back to a generic one
+const PLAN_MAX_ATTEMPTS = 3;
+
+// Function to generate a structured, schema-validated plan for the drawing tutorial
+// Returns { plan, fallback }, where fallback explains why the generic plan was used (or is null)
+async function generateTutorialPlan(referenceImageData, imageDescription, totalSteps, language) {
+  const prompt = `Create a structured plan for teaching children to draw this image in ${totalSteps} steps.
     
 For each step, provide:
-1. A very specific objective (1-2 short sentences, very clear)
-2. What elements to focus on in this step
-3. What to avoid (don't jump ahead to future elements)
-
-Format your response as a numbered list with exactly ${totalSteps} steps, like:
-1. [Specific objective for step 1]
-2. [Specific objective for step 2]
-...
-${totalSteps}. [Specific objective for step ${totalSteps}]
-
-Image Description: ${imageDescription}`;
-
-    const content = [prompt, { inlineData: referenceImageData }];
-    const result = await model.generateContent(content);
-    const response = await result.response;
-    const planText = response.text();
-    
-    // Parse the plan into individual steps
-    const planSteps = [];
-    const lines = planText.split('\n');
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.match(/^\d+\./)) {
-        // This is a step line
-        const stepText = trimmedLine.replace(/^\d+\.\s*/, '').trim();
-        if (stepText) {
-          planSteps.push(stepText);
-        }
-      }
+1. "objective": A very specific objective (1-2 short sentences, very clear)
+2. "focus": What elements to focus on in this step
+3. "avoid": What to avoid (don't jump ahead to future elements)
+4. "tips": One short, encouraging tip a child can follow while doing this step
+5. "estimatedMinutes": About how many minutes a child needs for this step (a whole number)
+
+Respond with ONLY a JSON object with exactly ${totalSteps} entries in "steps", like:
+{
+  "steps": [
+    {
+      "objective": "Draw a big circle for the head",
+      "focus": "The round outline of the head",
+      "avoid": "Don't draw the eyes or ears yet",
+      "tips": "Draw lightly so you can fix it later",
+      "estimatedMinutes": 2
     }
-    
-    // Ensure we have the right number of steps
-    while (planSteps.length < totalSteps) {
-      planSteps.push("Continue adding details to your drawing.");
+  ]
+}
+
+Image Description: ${imageDescription}${languageInstruction(language, { json: true })}`;
+
+  let request = prompt;
+  let lastProblem = null;
+  for (let attempt = 1; attempt <= PLAN_MAX_ATTEMPTS; attempt++) {
+    try {
+      const planText = await provider.analyzeImages(request, [referenceImageData], { task: 'plan', totalSteps, json: true });
+      const { plan, errors } = parsePlanResponse(planText, totalSteps);
+      if (plan) {
+        return { plan, fallback: null };
+      }
+      lastProblem = `Invalid plan: ${errors[0]}`;
+
+      // Ask the model to repair its own answer on the next attempt
+      console.log(`Plan attempt ${attempt}/${PLAN_MAX_ATTEMPTS} was invalid:`, errors.slice(0, 5).join('; '));
+      request = `${prompt}
+
+Your previous answer was not valid:
+${planText}
+
+Problems found:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object.`;
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+      console.error(`Error generating tutorial plan (attempt ${attempt}/${PLAN_MAX_ATTEMPTS}):`, error.message);
+      lastProblem = error.message;
     }
-    
-    // Limit to the exact number needed
-    return planSteps.slice(0, totalSteps);
-  } catch (error) {
-    console.error('Error generating tutorial plan:', error.message);
-    // Return a generic plan if analysis fails
-    const genericSteps = [];
-    for (let i = 0; i < totalSteps; i++) {
-      genericSteps.push(`Work on part ${i + 1} of your drawing.`);
+  }
+
+  // Return a generic plan if every attempt fails
+  console.error('Could not get a valid tutorial plan, using a generic plan');
+  const genericSteps = [];
+  for (let i = 0; i < totalSteps; i++) {
+    genericSteps.push(normalizePlanStep(translate(language, 'content.genericStep', { step: i + 1 })));
+  }
+  return { plan: genericSteps, fallback: lastProblem };
+}
+
+// Function to build a tutorial step from its plan entry, image, new-lines overlay and narration
+// `fallback` is set when the step image could not be generated, so the gap is visible instead of hidden
+function buildStep(stepNumber, planStep, { imageUrl, overlayUrl = null, validation = null }, audio, fallback = null) {
+  return {
+    step: stepNumber,
+    description: planStep.objective,
+    focus: planStep.focus,
+    avoid: planStep.avoid,
+    tips: planStep.tips,
+    estimatedMinutes: planStep.estimatedMinutes,
+    imageUrl,
+    overlayUrl,
+    validation,
+    audio,
+    fallback: fallback ? { stage: 'step-image', reason: fallback } : null
+  };
+}
+
+// Function to narrate a step: its objective followed by its tip
+function narrateStep(planStep, stepNumber, language) {
+  const text = planStep.tips ? `${planStep.objective} ${translate(language, 'content.tip')} ${planStep.tips}` : planStep.objective;
+  return generateAudioNarration(text, `step_${stepNumber}`, language);
+}
+
+// Function to build the cache key for one planning stage from everything its result depends on
+function generationCacheKey(stage, inputs) {
+  return generationCache.key({
+    stage,
+    version: PROMPT_VERSIONS[stage],
+    provider: provider.name,
+    models: provider.models,
+    ...inputs
+  });
+}
+
+// Function to return a cached result, or compute it and cache it when `isCacheable` accepts it
+// With `force` the cached result is ignored and replaced
+async function cachedResult(cacheKey, force, compute, isCacheable = () => true) {
+  if (!force) {
+    const entry = await generationCache.get(cacheKey);
+    if (entry) {
+      console.log(`Using cached result ${cacheKey.slice(0, 12)}`);
+      return entry.value;
     }
-    return genericSteps;
   }
+  const result = await compute();
+  if (isCacheable(result)) {
+    await cacheResult(cacheKey, result);
+  }
+  return result;
 }
 
-// API endpoint to process image and generate tutorial with adaptive step approach
-app.post('/api/generate-tutorial', upload.single('image'), async (req, res) => {
+// Function to store a result in the generation cache; the result is already computed, so a failed write
+// (disk full, permissions, an entry evicted meanwhile) is only logged
+async function cacheResult(cacheKey, value, files) {
   try {
-    const { difficulty } = req.body;
-    
-    // Validate input
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image provided' });
+    await generationCache.set(cacheKey, value, files);
+  } catch (error) {
+    console.error(`Failed to cache result ${cacheKey.slice(0, 12)}:`, error.message);
+  }
+}
+
+// Function to get the reference sketch from the cache, or generate it and cache a copy
+// Each tutorial gets its own stored copy, written fresh so the storage sweeper sees a new file, and can still delete it
+// `generate` draws a new sketch when there is no cached one
+async function cachedReferenceSketch(cacheKey, force, generate) {
+  if (!force) {
+    const entry = await generationCache.get(cacheKey);
+    if (entry) {
+      try {
+        const data = await fs.promises.readFile(entry.files.image);
+        const imageUrl = await assetStorage.put(
+          `reference_sketch_${Date.now()}${path.extname(entry.files.image)}`,
+          data,
+          entry.value.mimeType
+        );
+        console.log(`Using cached reference sketch ${cacheKey.slice(0, 12)}`);
+        return {
+          imageUrl,
+          imageData: { data: data.toString('base64'), mimeType: entry.value.mimeType }
+        };
+      } catch (error) {
+        // The entry can be evicted between looking it up and reading its file; that is just a miss
+        if (error.code !== 'ENOENT') throw error;
+        console.log(`Cached reference sketch ${cacheKey.slice(0, 12)} was evicted, drawing a new one`);
+      }
     }
-    
-    if (!difficulty) {
-      return res.status(400).json({ error: 'Difficulty level is required' });
+  }
+
+  const sketch = await generate();
+  if (sketch.imageUrl) {
+    await cacheResult(cacheKey, { mimeType: sketch.imageData.mimeType }, {
+      image: { data: Buffer.from(sketch.imageData.data, 'base64'), extension: path.extname(sketch.imageUrl) }
+    });
+  }
+  return sketch;
+}
+
+// Function to hash image data for cache keys
+function hashImage(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Function to plan a tutorial: reference sketch, description, step count and step objectives, saved as a draft
+// The tutorial starts from an uploaded image (`imagePath`) or from a text `prompt`
+// Text (description, steps, tips, narration) is written in `language`
+// Results are cached by upload (or prompt), difficulty, language and prompt version; `force` asks for a fresh variation
+async function planTutorial(job, { imagePath, prompt, difficulty, language = DEFAULT_LANGUAGE, source, force, stepRequest = { steps: null, preference: 'auto' } }) {
+  console.log(`Planning adaptive tutorial for ${difficulty} level in ${language}${force ? ' (fresh variation)' : ''}`);
+  // Prompts that only differ in case share their cached results
+  const sourceKey = imagePath
+    ? { uploadHash: hashImage(await fs.promises.readFile(imagePath)) }
+    : { prompt: prompt.toLowerCase() };
+  const level = difficulty.toLowerCase();
+
+  // Step 1: Generate a pencil sketch from the uploaded image (or the prompt) to use as a reference
+  job.setState('sketching');
+  console.log(imagePath ? "Generating reference sketch from uploaded image..." : `Generating reference sketch for "${prompt}"...`);
+  const { imageUrl: referenceSketchUrl, imageData: referenceSketchData } = await cachedReferenceSketch(
+    generationCacheKey('sketch', { ...sourceKey, difficulty: level }),
+    force,
+    () => imagePath
+      ? generatePencilSketchFromImage(imagePath, source.mimeType, difficulty)
+      : generatePencilSketchFromText(prompt, difficulty)
+  );
+  if (!referenceSketchUrl) {
+    throw new Error("Failed to generate the reference pencil sketch.");
+  }
+  console.log("Reference sketch generation complete.");
+  // Step count and plan are worked out from the sketch, so they are keyed by it too (and so is the description
+  // of a prompt, which is written from the sketch rather than an upload)
+  const sketchHash = hashImage(Buffer.from(referenceSketchData.data, 'base64'));
+
+  // Step 2: Analyze the uploaded image (or the sketch drawn from the prompt) to get a text description
+  job.setState('planning');
+  console.log("Analyzing uploaded image...");
+  const imageDescription = await cachedResult(
+    generationCacheKey('describe', { ...sourceKey, ...(imagePath ? {} : { sketchHash }), difficulty: level, language }),
+    force,
+    () => imagePath ? analyzeImage(imagePath, source.mimeType, language) : describeSketch(referenceSketchData, prompt, language)
+  );
+  console.log("Image analysis complete");
+
+  // The raw upload isn't needed after this; uploads left behind by failed jobs are swept as orphans
+  let savedSource = source;
+  if (imagePath && !KEEP_UPLOADS) {
+    await fs.promises.unlink(imagePath).catch(error => console.error('Failed to delete upload:', error.message));
+    savedSource = { ...source, imageUrl: null };
+  }
+  const sketchAudio = await generateAudioNarration(imageDescription, 'sketch', language);
+  const sketch = { imageUrl: referenceSketchUrl, description: imageDescription, audio: sketchAudio };
+  job.setResult({ sketch });
+  job.publish('sketch', sketch);
+
+  // Step 3: Determine optimal number of steps based on image complexity (or use the count the user asked for)
+  console.log("Determining optimal number of steps...");
+  const fallbacks = [];
+  const { totalSteps, reason: stepCountReason, fallback: stepCountFallback } = await chooseStepCount(
+    { sourceKey, sketchHash, level, language, force, stepRequest },
+    referenceSketchData,
+    imageDescription
+  );
+  if (stepCountFallback) {
+    fallbacks.push({ stage: 'step-count', reason: stepCountFallback });
+  }
+  console.log(`Will generate tutorial with ${totalSteps} steps (${stepCountReason})`);
+
+  // Step 4: Generate a structured plan for the tutorial
+  console.log("Generating tutorial plan...");
+  const { plan: tutorialPlan, fallback: planFallback } = await cachedResult(
+    generationCacheKey('plan', { ...sourceKey, sketchHash, difficulty: level, totalSteps, language }),
+    force,
+    () => generateTutorialPlan(referenceSketchData, imageDescription, totalSteps, language),
+    result => !result.fallback
+  );
+  if (planFallback) {
+    fallbacks.push({ stage: 'plan', reason: planFallback });
+  }
+  console.log("Tutorial plan generated");
+
+  // Step 5: Save the draft so the plan can be reviewed before any step images are drawn
+  const draft = await tutorialStore.save({
+    status: 'draft',
+    title: summarizeDescription(prompt || imageDescription),
+    difficulty,
+    language,
+    source: savedSource,
+    sketch,
+    stepCount: totalSteps,
+    stepCountReason,
+    plan: tutorialPlan,
+    steps: [],
+    fallbacks,
+    models: { provider: provider.name, ...provider.models, narration: ttsEngine ? ttsEngine.name : null }
+  });
+  console.log(`Saved draft tutorial ${draft.id}`);
+
+  job.setResult(draft);
+  job.publish('plan', { plan: tutorialPlan, totalSteps, reason: stepCountReason });
+  return { draft, referenceSketchData };
+}
+
+// Function to draw every step of a planned tutorial and save it as complete
+async function renderTutorial(job, draft, referenceSketchData) {
+  const tutorialPlan = draft.plan;
+  const totalSteps = tutorialPlan.length;
+  // Step image fallbacks from an earlier render attempt no longer apply
+  const fallbacks = (draft.fallbacks || []).filter(fallback => fallback.stage !== 'step-image');
+  // Tutorials from before languages were added are in English
+  const language = draft.language || DEFAULT_LANGUAGE;
+  // An edited plan keeps its own length, whatever count was chosen for it
+  const stepCountReason = totalSteps === draft.stepCount
+    ? draft.stepCountReason
+    : translate(language, 'stepCount.edited', { count: totalSteps });
+  let tutorial = await tutorialStore.save({ ...draft, status: 'rendering', stepCount: totalSteps, stepCountReason, steps: [], fallbacks });
+  job.setResult(tutorial);
+
+  if (!referenceSketchData) {
+    referenceSketchData = await loadAssetImageData(tutorial.sketch.imageUrl);
+    if (!referenceSketchData) {
+      throw new Error('The reference sketch for this tutorial is missing');
     }
-    
-    console.log(`Generating adaptive tutorial for ${difficulty} level`);
-    
-    // Step 1: Generate a pencil sketch from the uploaded image to use as a reference
-    console.log("Generating reference sketch from uploaded image...");
-    const { imageUrl: referenceSketchUrl, imageData: referenceSketchData } = await generatePencilSketchFromImage(req.file.path, difficulty);
-    if (!referenceSketchUrl) {
-      throw new Error("Failed to generate the reference pencil sketch.");
-    }
-    console.log("Reference sketch generation complete.");
-
-    // Step 2: Analyze the uploaded image to get a text description
-    console.log("Analyzing uploaded image...");
-    const imageDescription = await analyzeImage(req.file.path);
-    console.log("Image analysis complete");
-    
-    // Step 3: Determine optimal number of steps based on image complexity
-    console.log("Determining optimal number of steps...");
-    const totalSteps = await determineOptimalSteps(referenceSketchData, imageDescription);
-    console.log(`Will generate tutorial with ${totalSteps} steps`);
-    
-    // Step 4: Generate a structured plan for the tutorial
-    console.log("Generating tutorial plan...");
-    const tutorialPlan = await generateTutorialPlan(referenceSketchData, imageDescription, totalSteps);
-    console.log("Tutorial plan generated");
-    
-    // Step 5: Initialize arrays to hold the tutorial steps and image data
-    const steps = [];
-    const previousStepsImagesData = [];
+  }
+
+  // Initialize arrays to hold the tutorial steps and image data
+  const steps = [];
+  const previousStepsImagesData = [];
 
-    // Step 6: Generate each step according to the plan
+  try {
+    // Generate each step according to the plan
     for (let i = 0; i < totalSteps; i++) {
       const currentStepNumber = i + 1;
+      job.setState('rendering', { step: currentStepNumber, totalSteps });
       console.log(`--- Generating Step ${currentStepNumber}/${totalSteps} ---`);
 
-      // Use the specific objective from our plan
-      const stepDescription = tutorialPlan[i] || `Work on part ${currentStepNumber} of your drawing.`;
-      
-      console.log(`Step ${currentStepNumber} objective: ${stepDescription}`);
+      // Use the specific objective, focus and avoid notes from our plan
+      const planStep = normalizePlanStep(tutorialPlan[i]) || normalizePlanStep(translate(language, 'content.genericStep', { step: currentStepNumber }));
+    
+      console.log(`Step ${currentStepNumber} objective: ${planStep.objective}`);
 
-      // Generate the image for the current step with strict step-by-step approach
-      const { imageUrl, imageData } = await generateStepImage(
-        stepDescription, 
+      // Generate the image for the current step with strict step-by-step approach, redrawing it if it fails its checks
+      const { imageUrl, imageData, fallback, validation } = await generateValidatedStepImage(
+        planStep, 
         referenceSketchData, 
         previousStepsImagesData, 
         currentStepNumber,
-        totalSteps
+        totalSteps,
+        attempt => job.setState('rendering', { step: currentStepNumber, totalSteps, attempt })
       );
+      if (fallback) {
+        fallbacks.push({ stage: 'step-image', step: currentStepNumber, reason: fallback });
+      }
+
+      // Compare with the last step that has a picture, the one this step was drawn from
+      const overlayUrl = imageData
+        ? await generateStepOverlay(imageData, previousStepsImagesData[previousStepsImagesData.length - 1], currentStepNumber)
+        : null;
 
       // Add the new step to our steps array
-      steps.push({
-        step: currentStepNumber,
-        description: stepDescription,
-        imageUrl: imageUrl,
-        audio: null // Audio will be generated later
-      });
+      const step = buildStep(
+        currentStepNumber,
+        planStep,
+        { imageUrl, overlayUrl, validation },
+        await narrateStep(planStep, currentStepNumber, language),
+        fallback
+      );
+      steps.push(step);
+      job.setResult({ steps: steps.slice() });
+      job.publish('step', step);
 
       // Add the new image data to our collection for the next iteration
       if (imageData) {
         previousStepsImagesData.push(imageData);
-        
+      
         // Keep only the most recent images to prevent accumulation
         if (previousStepsImagesData.length > 2) {
           previousStepsImagesData.shift(); // Remove the oldest image
         }
       }
     }
-    console.log("All adaptive steps generated.");
-    
-    // Step 7: Generate audio for sketch description
-    const sketchAudio = await generateAudioNarration(imageDescription);
-    
-    // Step 8: Generate audio for each step
-    for (let i = 0; i < steps.length; i++) {
-      steps[i].audio = await generateAudioNarration(steps[i].description);
-    }
-    
-    // Return tutorial data
-    res.json({
-      sketch: {
-        imageUrl: referenceSketchUrl, // Use the new reference sketch
-        description: imageDescription,
-        audio: sketchAudio
-      },
-      steps: steps
-    });
   } catch (error) {
-    console.error('Error generating tutorial:', error);
-    res.status(500).json({ error: 'Failed to generate tutorial', details: error.message });
+    // Put the tutorial back to a draft so the plan can be rendered again (unless it was deleted meanwhile)
+    if (await tutorialStore.get(tutorial.id)) {
+      await tutorialStore.save({ ...tutorial, status: 'draft', steps: [] });
+    }
+    await deleteAssets(steps.flatMap(step => [step.imageUrl, step.overlayUrl, step.audio]).filter(Boolean));
+    throw error;
   }
-});
+  console.log("All adaptive steps generated.");
+  
+  // Save the finished tutorial to the library
+  await ensureTutorialExists(tutorial.id, steps.flatMap(step => [step.imageUrl, step.overlayUrl, step.audio]));
+  tutorial = await tutorialStore.save({
+    ...tutorial,
+    status: 'complete',
+    steps: steps,
+    fallbacks,
+    completedAt: new Date().toISOString()
+  });
+  console.log(`Saved tutorial ${tutorial.id}`);
+  
+  // Store the finished tutorial data on the job
+  job.setResult(tutorial);
+  return tutorial;
+}
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Drawing tutorial API is running' });
-});
+// Function to run the full tutorial pipeline (plan, then render) for a queued job
+async function generateTutorial(job, input) {
+  const { draft, referenceSketchData } = await planTutorial(job, input);
+  // Like a render job, keep the new draft from being edited or deleted while its steps are drawn
+  tutorialsBeingEdited.add(draft.id);
+  try {
+    await renderTutorial(job, draft, referenceSketchData);
+  } finally {
+    tutorialsBeingEdited.delete(draft.id);
+  }
+}
 
-// Serve frontend
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Function to check that a job's tutorial is still in the library before the job saves it again; when it is
+// gone, the files the job made are deleted (nothing refers to them) and the job fails
+async function ensureTutorialExists(tutorialId, newAssetUrls) {
+  if (await tutorialStore.get(tutorialId)) return;
+  await deleteAssets(newAssetUrls.filter(Boolean));
+  throw new Error('The tutorial was deleted while it was being drawn');
+}
+
+// Function to regenerate one step of a saved tutorial, and optionally every step after it
+async function regenerateSteps(job, { tutorialId, stepNumber, description, cascade }) {
+  let tutorial = await tutorialStore.get(tutorialId);
+  if (!tutorial) {
+    throw new Error('Tutorial not found');
+  }
+  job.setResult(tutorial);
+
+  const totalSteps = tutorial.steps.length;
+  const lastStepNumber = cascade ? totalSteps : stepNumber;
+  const referenceSketchData = await loadAssetImageData(tutorial.sketch.imageUrl);
+  if (!referenceSketchData) {
+    throw new Error('The reference sketch for this tutorial is missing');
+  }
+
+  // Each step is rebuilt from the reference sketch and the step before it
+  const previousStep = tutorial.steps[stepNumber - 2];
+  let previousImageData = previousStep && previousStep.imageUrl
+    ? await loadAssetImageData(previousStep.imageUrl).catch(() => null)
+    : null;
+
+  for (let currentStepNumber = stepNumber; currentStepNumber <= lastStepNumber; currentStepNumber++) {
+    job.setState('rendering', { step: currentStepNumber, totalSteps });
+    console.log(`--- Regenerating Step ${currentStepNumber}/${totalSteps} of tutorial ${tutorialId} ---`);
+
+    const oldStep = tutorial.steps[currentStepNumber - 1];
+    const descriptionChanged = currentStepNumber === stepNumber && description && description !== oldStep.description;
+    const planStep = {
+      ...(normalizePlanStep((tutorial.plan || [])[currentStepNumber - 1]) || normalizePlanStep(oldStep.description)),
+      objective: descriptionChanged ? description : oldStep.description
+    };
+
+    const { imageUrl, imageData, fallback, validation } = await generateValidatedStepImage(
+      planStep,
+      referenceSketchData,
+      previousImageData ? [previousImageData] : [],
+      currentStepNumber,
+      totalSteps,
+      attempt => job.setState('rendering', { step: currentStepNumber, totalSteps, attempt })
+    );
+    if (!imageUrl) {
+      throw new Error(`Step ${currentStepNumber} could not be regenerated (${fallback}), please try again`);
+    }
+    const overlayUrl = await generateStepOverlay(imageData, previousImageData, currentStepNumber);
+
+    const step = {
+      ...oldStep,
+      ...buildStep(
+        currentStepNumber,
+        planStep,
+        { imageUrl, overlayUrl, validation },
+        descriptionChanged ? await narrateStep(planStep, currentStepNumber, tutorial.language || DEFAULT_LANGUAGE) : oldStep.audio
+      ),
+      regeneratedAt: new Date().toISOString()
+    };
+
+    // Save after every step so a failure part-way through a cascade keeps the finished steps
+    const steps = tutorial.steps.slice();
+    steps[currentStepNumber - 1] = step;
+    const plan = (tutorial.plan || []).slice();
+    if (descriptionChanged) {
+      plan[currentStepNumber - 1] = planStep;
+    }
+    const fallbacks = (tutorial.fallbacks || []).filter(entry => !(entry.stage === 'step-image' && entry.step === currentStepNumber));
+    await ensureTutorialExists(tutorialId, [imageUrl, overlayUrl, step.audio !== oldStep.audio ? step.audio : null]);
+    tutorial = await tutorialStore.save({ ...tutorial, plan, steps, fallbacks });
+    await deleteAssets([oldStep.imageUrl, oldStep.overlayUrl, step.audio !== oldStep.audio ? oldStep.audio : null].filter(Boolean));
+
+    job.setResult(tutorial);
+    job.publish('step', step);
+    previousImageData = imageData;
+  }
+
+  // The step after the last redrawn one now builds on a different picture, so its new lines changed too
+  const nextStep = tutorial.steps[lastStepNumber];
+  if (nextStep && nextStep.imageUrl) {
+    const nextImageData = await loadAssetImageData(nextStep.imageUrl).catch(() => null);
+    if (nextImageData) {
+      const step = { ...nextStep, overlayUrl: await generateStepOverlay(nextImageData, previousImageData, nextStep.step) };
+      const steps = tutorial.steps.slice();
+      steps[lastStepNumber] = step;
+      await ensureTutorialExists(tutorialId, [step.overlayUrl]);
+      tutorial = await tutorialStore.save({ ...tutorial, steps });
+      await deleteAssets([nextStep.overlayUrl].filter(Boolean));
+      job.setResult(tutorial);
+      job.publish('step', step);
+    }
+  }
+}
+
+// Function to give a child feedback on their own drawing of one step, compared with the step's picture and the reference sketch
+// Returns { feedback, suggestion, readyForNext, fallback }. When the model can't help, the child gets general
+// encouragement and may move on (fallback says why), so a model problem never blocks a tutorial
+async function reviewStudentDrawing(tutorial, step, drawingData) {
+  const language = tutorial.language || DEFAULT_LANGUAGE;
+  const encourage = problem => ({
+    feedback: translate(language, 'content.feedbackFallback'),
+    suggestion: '',
+    readyForNext: true,
+    fallback: problem
+  });
+
+  try {
+    const [stepImageData, referenceSketchData] = await Promise.all([
+      step.imageUrl ? loadAssetImageData(step.imageUrl).catch(() => null) : null,
+      loadAssetImageData(tutorial.sketch.imageUrl).catch(() => null)
+    ]);
+
+    // Describe the images in the order they are sent; a missing step picture or sketch is simply left out
+    const images = [{ image: drawingData, label: "The child's own drawing (a photo or scan; it may be tilted, shadowed or on lined paper)" }];
+    if (stepImageData) {
+      images.push({ image: stepImageData, label: 'What the drawing should look like after this step' });
+    }
+    if (referenceSketchData) {
+      images.push({ image: referenceSketchData, label: 'The finished reference sketch (the final goal; parts missing from the step picture belong to later steps)' });
+    }
+
+    const prompt = `You are a kind, patient art teacher looking at a child's drawing.
+
+The child is on STEP ${step.step} of ${tutorial.steps.length} of a drawing tutorial. In this step they should: "${step.description}"${step.focus ? `
+What matters in this step: ${step.focus}` : ''}
+
+IMAGES:
+${images.map((entry, index) => `${index + 1}. ${entry.label}`).join('\n')}
+
+Compare the child's drawing with what this step asks for ONLY. It does not need to look perfect or exactly the same;
+children's lines are wobbly and that is fine. Do not expect anything from later steps.
+
+Respond with ONLY a JSON object like:
+{
+  "feedback": "1-2 short, warm sentences praising something specific the child drew",
+  "suggestion": "One small, concrete thing to try next time, or an empty string if nothing is needed",
+  "readyForNext": true
+}
+Set "readyForNext" to true when the main thing this step asks for is on the paper, even roughly, and false when it is missing.
+Never be harsh, never talk about talent, and use words a six-year-old understands.${languageInstruction(language, { json: true })}`;
+
+    const answer = await provider.analyzeImages(prompt, images.map(entry => entry.image), {
+      task: 'feedback',
+      step: step.step,
+      totalSteps: tutorial.steps.length,
+      json: true
+    });
+    const { feedback, errors } = parseFeedbackResponse(answer);
+    if (!feedback) {
+      console.log('Drawing feedback was invalid:', errors.join('; '));
+      return encourage(`Invalid feedback: ${errors[0]}`);
+    }
+    return { ...feedback, fallback: null };
+  } catch (error) {
+    console.error('Error reviewing student drawing:', error.message);
+    return encourage(error.message);
+  }
+}
+
+// Function to make a short library title from the first sentence of an image description
+function summarizeDescription(description) {
+  const firstSentence = description.trim().split(/(?<=[.!?])\s/)[0].replace(/[*#_]/g, '');
+  return firstSentence.length > 80 ? `${firstSentence.slice(0, 77)}...` : firstSentence;
+}
+
+// Function to queue a job and answer 202 with its id, or 503 when the queue is full
+function respondWithJob(res, type, handler) {
+  const job = jobQueue.enqueue(type, handler);
+
+  if (!job) {
+    res.set('Retry-After', '30');
+    res.status(503).json({ error: 'Too many tutorials are being generated, please try again shortly' });
+    return null;
+  }
+
+  console.log(`Queued ${type} job ${job.id}`);
+  res.status(202).json({
+    jobId: job.id,
+    state: job.state,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+  return job;
+}
+
+// Middleware to receive the `image` upload and normalize it (real format, orientation, no metadata, size)
+// Answers 413 for files over the size limit, 415 for non-images, 422 for images that can't be decoded
+// and 507 while storage is over its limit; requests without an image (text prompts) pass straight through
+function acceptImageUpload(req, res, next) {
+  if (storageSweeper.isOverLimit()) {
+    return res.status(507).json({ error: 'The server is out of storage space, please delete some tutorials and try again' });
+  }
+  upload.single('image')(req, res, async uploadError => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Image is too large' : 'Invalid upload', details: uploadError.message });
+    }
+    if (!req.file) {
+      return next();
+    }
+
+    try {
+      const image = await ingestImage(req.file.path, { maxDimension: UPLOAD_MAX_DIMENSION });
+      console.log(`Ingested upload ${image.filename} (${image.originalMimeType} -> ${image.mimeType}, ${image.width}x${image.height})`);
+      Object.assign(req.file, { path: image.path, filename: image.filename, mimetype: image.mimeType });
+      next();
+    } catch (error) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      if (error.code === 'UNSUPPORTED_IMAGE' || error.code === 'INVALID_IMAGE') {
+        return res.status(error.code === 'UNSUPPORTED_IMAGE' ? 415 : 422).json({ error: 'Invalid image', details: error.message });
+      }
+      console.error('Error ingesting upload:', error);
+      res.status(500).json({ error: 'Failed to process the uploaded image', details: error.message });
+    }
+  });
+}
+
+// Longest text prompt accepted in place of an image
+const MAX_PROMPT_LENGTH = 300;
+
+// Function to validate a tutorial request and describe it for planTutorial; sends a 400 and returns null if invalid
+// A request carries either an uploaded `image` or a text `prompt` describing what to draw
+function readUploadRequest(req, res) {
+  const { difficulty } = req.body;
+  const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.replace(/\s+/g, ' ').trim() : '';
+  const discardUpload = () => req.file && fs.promises.unlink(req.file.path).catch(() => {});
+  
+  // Validate input
+  if (!req.file && !prompt) {
+    res.status(400).json({ error: 'No image or prompt provided' });
+    return null;
+  }
+
+  if (req.file && prompt) {
+    discardUpload();
+    res.status(400).json({ error: 'Send either an image or a prompt, not both' });
+    return null;
+  }
+
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    res.status(400).json({ error: 'Prompt is too long', details: `Describe your drawing in at most ${MAX_PROMPT_LENGTH} characters` });
+    return null;
+  }
+  
+  if (!difficulty) {
+    discardUpload();
+    res.status(400).json({ error: 'Difficulty level is required' });
+    return null;
+  }
+
+  const { request: stepRequest, error: stepError } = parseStepCountRequest(req.body);
+  if (stepError) {
+    discardUpload();
+    res.status(400).json({ error: 'Invalid step count', details: stepError });
+    return null;
+  }
+
+  const { language, error: languageError } = parseLanguage(req.body.language);
+  if (languageError) {
+    discardUpload();
+    res.status(400).json({ error: 'Unsupported language', details: languageError });
+    return null;
+  }
+
+  // Skip the generation cache and ask the model for a fresh variation
+  const force = String(req.body.force || req.query.force) === 'true';
+
+  if (prompt) {
+    return { prompt, difficulty, language, force, stepRequest, source: { imageUrl: null, prompt } };
+  }
+
+  return {
+    imagePath: req.file.path,
+    difficulty,
+    language,
+    force,
+    stepRequest,
+    source: {
+      imageUrl: `/uploads/${req.file.filename}`,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    }
+  };
+}
+
+// API endpoint to queue full tutorial generation (plan and images) from an image or a text prompt; responds right away with a job id to poll
+app.post('/api/generate-tutorial', acceptImageUpload, (req, res) => {
+  const input = readUploadRequest(req, res);
+  if (input) {
+    respondWithJob(res, 'tutorial', job => generateTutorial(job, input));
+  }
+});
+
+// API endpoint to queue only the planning phase; the job result is a draft tutorial with an editable plan
+app.post('/api/plan-tutorial', acceptImageUpload, (req, res) => {
+  const input = readUploadRequest(req, res);
+  if (input) {
+    respondWithJob(res, 'plan', job => planTutorial(job, input));
+  }
+});
+
+// API endpoint to report the state, partial results and errors of a generation job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Server-Sent Events stream of a job: a snapshot first, then the sketch, plan and each step as they are produced
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', job);
+  if (job.state === 'done' || job.state === 'failed') {
+    return res.end();
+  }
+
+  const forwarded = ['state', 'sketch', 'plan', 'step'];
+  const listeners = {};
+  forwarded.forEach(event => {
+    listeners[event] = data => send(event, data);
+    job.events.on(event, listeners[event]);
+  });
+
+  const finish = event => data => {
+    send(event, data);
+    res.end();
+  };
+  listeners.done = finish('done');
+  listeners.failed = finish('failed');
+  job.events.on('done', listeners.done);
+  job.events.on('failed', listeners.failed);
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    Object.entries(listeners).forEach(([event, listener]) => job.events.off(event, listener));
+  });
+});
+
+// API endpoint to list saved tutorials, newest first
+app.get('/api/tutorials', async (req, res) => {
+  try {
+    res.json({ tutorials: await tutorialStore.list() });
+  } catch (error) {
+    console.error('Error listing tutorials:', error);
+    res.status(500).json({ error: 'Failed to list tutorials', details: error.message });
+  }
+});
+
+// API endpoint to load one saved tutorial
+app.get('/api/tutorials/:id', async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+    res.json(tutorial);
+  } catch (error) {
+    console.error('Error loading tutorial:', error);
+    res.status(500).json({ error: 'Failed to load tutorial', details: error.message });
+  }
+});
+
+// API endpoint to download a finished tutorial as a printable PDF worksheet
+// Query: pageSize (A4 or LETTER), stepsPerPage (1-8), practiceBox (true or false)
+app.get('/api/tutorials/:id/export.pdf', async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+    if (tutorial.status && tutorial.status !== 'complete') {
+      return res.status(409).json({ error: 'Only finished tutorials can be exported' });
+    }
+
+    const { options, error } = parseWorksheetOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid worksheet options', details: error });
+    }
+
+    const pdf = await buildWorksheetPdf(tutorial, options, url => readAsset(url).catch(() => null));
+
+    const filename = (tutorial.title || 'tutorial').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'tutorial';
+    console.log(`Exported tutorial ${tutorial.id} as a ${options.pageSize} worksheet`);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}-worksheet.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error exporting tutorial:', error);
+    res.status(500).json({ error: 'Failed to export tutorial', details: error.message });
+  }
+});
+
+// API endpoint to download a tutorial and its files as a portable zip bundle
+app.get('/api/tutorials/:id/bundle.zip', async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+    if (tutorial.status === 'rendering') {
+      return res.status(409).json({ error: 'This tutorial is still being drawn' });
+    }
+
+    const bundle = await createBundle(tutorial, url => readAsset(url).catch(() => null));
+
+    const filename = (tutorial.title || 'tutorial').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'tutorial';
+    console.log(`Exported tutorial ${tutorial.id} as a bundle`);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}.zip"`
+    });
+    res.send(bundle);
+  } catch (error) {
+    console.error('Error exporting tutorial bundle:', error);
+    res.status(500).json({ error: 'Failed to export tutorial', details: error.message });
+  }
+});
+
+// API endpoint to import a tutorial bundle into the library under a new id
+app.post('/api/tutorials/import', (req, res) => {
+  bundleUpload.single('bundle')(req, res, async uploadError => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: 'Invalid bundle upload', details: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No bundle provided' });
+    }
+
+    // Give every file a fresh name so imports never overwrite existing tutorials' files
+    const urls = new Map();
+    try {
+      const { tutorial, assets, exportedAt, errors } = readBundle(req.file.buffer);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid tutorial bundle', details: errors.join('; ') });
+      }
+
+      const stamp = Date.now();
+      let index = 0;
+      for (const [name, data] of assets) {
+        const storage = tutorial.source && tutorial.source.imageUrl === name ? uploadStorage : assetStorage;
+        const filename = `imported_${stamp}_${++index}${path.extname(name).toLowerCase()}`;
+        urls.set(name, await storage.put(filename, data, mimeTypeForUrl(name)));
+      }
+
+      const { originalId, ...imported } = mapAssetRefs(tutorial, name => urls.get(name));
+      const saved = await tutorialStore.save({
+        ...imported,
+        id: undefined,
+        createdAt: undefined,
+        importedAt: new Date().toISOString(),
+        importedFrom: { id: originalId || null, exportedAt }
+      });
+
+      console.log(`Imported tutorial ${saved.id} from a bundle with ${assets.size} files`);
+      res.status(201).json(saved);
+    } catch (error) {
+      console.error('Error importing tutorial bundle:', error);
+      await deleteAssets([...urls.values()]);
+      res.status(500).json({ error: 'Failed to import tutorial', details: error.message });
+    }
+  });
+});
+
+// API endpoint to delete a saved tutorial together with its upload, images and audio
+app.delete('/api/tutorials/:id', async (req, res) => {
+  try {
+    // A job drawing the tutorial would save it again, without the files deleted here
+    const existing = await tutorialStore.get(req.params.id);
+    if (existing && (tutorialsBeingEdited.has(existing.id) || existing.status === 'rendering')) {
+      return res.status(409).json({ error: 'This tutorial is still being drawn; delete it once it is finished' });
+    }
+
+    const tutorial = await tutorialStore.remove(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    await deleteAssets(tutorialAssetUrls(tutorial));
+    await forgetTutorialInProfiles(tutorial.id);
+
+    // Measure again right away, so uploads are accepted as soon as enough space is freed
+    if (storageSweeper.isOverLimit()) {
+      storageSweeper.sweep().catch(sweepError => console.error('Storage sweep failed:', sweepError));
+    }
+
+    console.log(`Deleted tutorial ${tutorial.id}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting tutorial:', error);
+    res.status(500).json({ error: 'Failed to delete tutorial', details: error.message });
+  }
+});
+
+// Tutorials with a regeneration job in progress, so two jobs never edit the same manifest
+const tutorialsBeingEdited = new Set();
+
+// API endpoint to regenerate one step (optionally with an edited description) and, with cascade, all later steps
+app.post('/api/tutorials/:id/steps/:n/regenerate', async (req, res) => {
+  try {
+    const { description, cascade } = req.body || {};
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    if (tutorial.status && tutorial.status !== 'complete') {
+      return res.status(409).json({ error: 'This tutorial has not finished drawing yet' });
+    }
+
+    const stepNumber = Number(req.params.n);
+    if (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > tutorial.steps.length) {
+      return res.status(400).json({ error: `Step number must be between 1 and ${tutorial.steps.length}` });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || !description.trim() || description.length > MAX_OBJECTIVE_LENGTH)) {
+      return res.status(400).json({ error: `Description must be a non-empty string of at most ${MAX_OBJECTIVE_LENGTH} characters` });
+    }
+
+    if (tutorialsBeingEdited.has(tutorial.id)) {
+      return res.status(409).json({ error: 'This tutorial is already being regenerated' });
+    }
+
+    const job = respondWithJob(res, 'regenerate', async job => {
+      try {
+        await regenerateSteps(job, {
+          tutorialId: tutorial.id,
+          stepNumber,
+          description: description && description.trim(),
+          cascade: cascade === true || cascade === 'true'
+        });
+      } finally {
+        tutorialsBeingEdited.delete(tutorial.id);
+      }
+    });
+
+    if (job) {
+      tutorialsBeingEdited.add(tutorial.id);
+    }
+  } catch (error) {
+    console.error('Error queuing step regeneration:', error);
+    res.status(500).json({ error: 'Failed to regenerate step', details: error.message });
+  }
+});
+
+// API endpoint for a child's check-in: upload a photo of their drawing of step n (field `image`) and get
+// short, encouraging feedback plus `readyForNext`, which the frontend uses to unlock the next step
+// The photo is only used for this answer and deleted right away
+app.post('/api/tutorials/:id/steps/:n/feedback', acceptImageUpload, async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    if (tutorial.status && tutorial.status !== 'complete') {
+      return res.status(409).json({ error: 'This tutorial has not finished drawing yet' });
+    }
+
+    const stepNumber = Number(req.params.n);
+    if (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > tutorial.steps.length) {
+      return res.status(400).json({ error: `Step number must be between 1 and ${tutorial.steps.length}` });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No drawing provided' });
+    }
+
+    const drawingData = { data: imageToBase64(req.file.path), mimeType: req.file.mimetype };
+    const result = await reviewStudentDrawing(tutorial, tutorial.steps[stepNumber - 1], drawingData);
+    if (result.fallback) {
+      console.log(`Gave general feedback for step ${stepNumber} of tutorial ${tutorial.id}: ${result.fallback}`);
+    }
+    res.json({ step: stepNumber, ...result });
+  } catch (error) {
+    console.error('Error giving drawing feedback:', error);
+    res.status(500).json({ error: 'Failed to check the drawing', details: error.message });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// API endpoint to keep the child's drawing from the practice canvas with the tutorial (field `image`,
+// optional `step` they were on); a tutorial has one practice drawing, and saving again replaces it
+app.put('/api/tutorials/:id/practice', acceptImageUpload, async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    if (tutorial.status && tutorial.status !== 'complete') {
+      return res.status(409).json({ error: 'This tutorial has not finished drawing yet' });
+    }
+
+    if (tutorialsBeingEdited.has(tutorial.id)) {
+      return res.status(409).json({ error: 'This tutorial is being regenerated, please try again when it is done' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No drawing provided' });
+    }
+
+    const stepNumber = req.body.step === undefined || req.body.step === '' ? null : Number(req.body.step);
+    if (stepNumber !== null && (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > tutorial.steps.length)) {
+      return res.status(400).json({ error: `Step number must be between 1 and ${tutorial.steps.length}` });
+    }
+
+    const imageUrl = await assetStorage.putFile(
+      `practice_${Date.now()}${path.extname(req.file.path)}`,
+      req.file.path,
+      req.file.mimetype
+    );
+    const practice = { imageUrl, step: stepNumber, savedAt: new Date().toISOString() };
+    await tutorialStore.save({ ...tutorial, practice });
+    if (tutorial.practice) {
+      await deleteAssets([tutorial.practice.imageUrl]);
+    }
+
+    console.log(`Saved a practice drawing for tutorial ${tutorial.id}`);
+    res.json(practice);
+  } catch (error) {
+    console.error('Error saving practice drawing:', error);
+    res.status(500).json({ error: 'Failed to save the drawing', details: error.message });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// Longest plan a teacher can approve (the model proposes at most 20 steps; editing can add more)
+const MAX_PLAN_STEPS = MAX_STEPS;
+
+// API endpoint to draw the step images of a draft tutorial from its approved (optionally edited) plan
+app.post('/api/tutorials/:id/render', async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.id);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    if (tutorial.status !== 'draft') {
+      return res.status(409).json({ error: 'Only draft tutorials can be rendered; use step regeneration to change a finished tutorial' });
+    }
+
+    if (tutorialsBeingEdited.has(tutorial.id)) {
+      return res.status(409).json({ error: 'This tutorial is already being drawn' });
+    }
+
+    // Steps may be plan objects or plain objective strings
+    const plan = (req.body && req.body.plan) || tutorial.plan;
+    const approvedPlan = Array.isArray(plan) ? plan.map(normalizePlanStep) : [];
+    const validPlan = approvedPlan.length > 0 &&
+      approvedPlan.length <= MAX_PLAN_STEPS &&
+      approvedPlan.every(Boolean);
+    if (!validPlan) {
+      return res.status(400).json({ error: `Plan must be a list of 1 to ${MAX_PLAN_STEPS} steps, each with a non-empty objective of at most ${MAX_OBJECTIVE_LENGTH} characters` });
+    }
+
+    const approved = { ...tutorial, plan: approvedPlan };
+    const job = respondWithJob(res, 'render', async job => {
+      try {
+        job.setResult(approved);
+        job.publish('sketch', approved.sketch);
+        job.publish('plan', { plan: approved.plan, totalSteps: approved.plan.length });
+        await renderTutorial(job, approved);
+      } finally {
+        tutorialsBeingEdited.delete(tutorial.id);
+      }
+    });
+    if (job) {
+      tutorialsBeingEdited.add(tutorial.id);
+    }
+  } catch (error) {
+    console.error('Error queuing tutorial rendering:', error);
+    res.status(500).json({ error: 'Failed to render tutorial', details: error.message });
+  }
+});
+
+// API endpoint to list learner profiles, with the avatars a profile can have
+app.get('/api/profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await profileStore.list(), avatars: AVATARS });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    res.status(500).json({ error: 'Failed to list profiles', details: error.message });
+  }
+});
+
+// API endpoint to add a learner profile: a `name` and an `avatar`, no password
+app.post('/api/profiles', async (req, res) => {
+  try {
+    const { profile, error } = parseProfileInput(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid profile', details: error });
+    }
+
+    const saved = await profileStore.save(profile);
+    console.log(`Added learner profile ${saved.id}`);
+    res.status(201).json(await describeProfile(saved));
+  } catch (error) {
+    console.error('Error adding profile:', error);
+    res.status(500).json({ error: 'Failed to add profile', details: error.message });
+  }
+});
+
+// API endpoint to load a learner profile with its progress, for the dashboard
+app.get('/api/profiles/:id', async (req, res) => {
+  try {
+    const profile = await profileStore.get(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(await describeProfile(profile));
+  } catch (error) {
+    console.error('Error loading profile:', error);
+    res.status(500).json({ error: 'Failed to load profile', details: error.message });
+  }
+});
+
+// API endpoint to change a learner's name or avatar
+app.patch('/api/profiles/:id', async (req, res) => {
+  try {
+    const { profile: changes, error } = parseProfileInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: 'Invalid profile', details: error });
+    }
+
+    const profile = await profileStore.update(req.params.id, current => ({ ...current, ...changes }));
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(await describeProfile(profile));
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile', details: error.message });
+  }
+});
+
+// API endpoint to delete a learner profile together with the drawings it saved
+app.delete('/api/profiles/:id', async (req, res) => {
+  try {
+    const profile = await profileStore.remove(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    await deleteAssets(profileAssetUrls(profile));
+    console.log(`Deleted learner profile ${profile.id}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    res.status(500).json({ error: 'Failed to delete profile', details: error.message });
+  }
+});
+
+// API endpoint to record the step a learner is on (`currentStepIndex`, from 0); the first call marks the
+// tutorial as started, and reaching the last step of a finished tutorial marks it as completed
+app.put('/api/profiles/:id/progress/:tutorialId', async (req, res) => {
+  try {
+    const tutorial = await tutorialStore.get(req.params.tutorialId);
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    const stepCount = tutorial.stepCount || tutorial.steps.length;
+    const currentStepIndex = Number((req.body || {}).currentStepIndex);
+    if (!Number.isInteger(currentStepIndex) || currentStepIndex < 0 || currentStepIndex >= Math.max(1, stepCount)) {
+      return res.status(400).json({ error: `currentStepIndex must be a whole number between 0 and ${Math.max(1, stepCount) - 1}` });
+    }
+
+    const completed = (!tutorial.status || tutorial.status === 'complete') && currentStepIndex === tutorial.steps.length - 1;
+    // Checked again in the profile's turn: the tutorial may have been deleted (and forgotten by every profile) meanwhile
+    let tutorialDeleted = false;
+    const profile = await profileStore.update(req.params.id, async current => {
+      tutorialDeleted = !(await tutorialStore.get(tutorial.id));
+      return tutorialDeleted ? current : recordProgress(current, tutorial.id, { currentStepIndex, completed });
+    });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (tutorialDeleted) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+    res.json({ tutorialId: tutorial.id, ...profile.progress[tutorial.id] });
+  } catch (error) {
+    console.error('Error recording progress:', error);
+    res.status(500).json({ error: 'Failed to record progress', details: error.message });
+  }
+});
+
+// API endpoint to keep a learner's practice drawing of a tutorial (field `image`, optional `step` they were on)
+// Each learner keeps their latest drawings of every tutorial; the oldest are deleted past the limit
+app.post('/api/profiles/:id/progress/:tutorialId/drawings', acceptImageUpload, async (req, res) => {
+  try {
+    const [profile, tutorial] = await Promise.all([profileStore.get(req.params.id), tutorialStore.get(req.params.tutorialId)]);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (!tutorial) {
+      return res.status(404).json({ error: 'Tutorial not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No drawing provided' });
+    }
+
+    const stepNumber = req.body.step === undefined || req.body.step === '' ? null : Number(req.body.step);
+    if (stepNumber !== null && (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > tutorial.steps.length)) {
+      return res.status(400).json({ error: `Step number must be between 1 and ${tutorial.steps.length}` });
+    }
+
+    // Several children may save at the same moment, so the time alone isn't a unique name
+    const imageUrl = await assetStorage.putFile(
+      `drawing_${Date.now()}_${crypto.randomBytes(4).toString('hex')}${path.extname(req.file.path)}`,
+      req.file.path,
+      req.file.mimetype
+    );
+    const drawing = { imageUrl, step: stepNumber, savedAt: new Date().toISOString() };
+    let droppedUrls = [];
+    let tutorialDeleted = false;
+    const saved = await profileStore.update(profile.id, async current => {
+      // The tutorial may have been deleted (and forgotten by every profile) while the drawing was being stored
+      tutorialDeleted = !(await tutorialStore.get(tutorial.id));
+      if (tutorialDeleted) return current;
+      const result = addDrawing(current, tutorial.id, drawing);
+      droppedUrls = result.droppedUrls;
+      return result.profile;
+    });
+    if (!saved || tutorialDeleted) {
+      // The profile or the tutorial was deleted while the drawing was being stored
+      await deleteAssets([imageUrl]);
+      return res.status(404).json({ error: saved ? 'Tutorial not found' : 'Profile not found' });
+    }
+    await deleteAssets(droppedUrls);
+
+    console.log(`Saved a drawing of tutorial ${tutorial.id} for learner profile ${profile.id}`);
+    res.status(201).json(drawing);
+  } catch (error) {
+    console.error('Error saving drawing:', error);
+    res.status(500).json({ error: 'Failed to save the drawing', details: error.message });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// Middleware for admin endpoints: requires `Authorization: Bearer <ADMIN_TOKEN>`,
+// or a request from this machine when no ADMIN_TOKEN is set
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token) {
+    const given = Buffer.from(req.get('authorization') || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      return next();
+    }
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress)) {
+    return next();
+  }
+  res.status(403).json({ error: 'Admin endpoints are only available locally unless ADMIN_TOKEN is set' });
+}
+
+// Admin endpoint reporting storage use, unsaved tutorials and orphaned files
+app.get('/api/admin/storage', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ...await storageSweeper.report(), cache: generationCache.stats() });
+  } catch (error) {
+    console.error('Error reporting storage:', error);
+    res.status(500).json({ error: 'Failed to report storage', details: error.message });
+  }
+});
+
+// Admin endpoint to apply the retention policy now instead of waiting for the next sweep
+app.post('/api/admin/storage/sweep', requireAdmin, async (req, res) => {
+  try {
+    res.json(await storageSweeper.sweep());
+  } catch (error) {
+    console.error('Error sweeping storage:', error);
+    res.status(500).json({ error: 'Failed to sweep storage', details: error.message });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    message: 'Drawing tutorial API is running',
+    modelProvider: { name: provider.name, circuit: provider.circuit() }
+  });
+});
+
+// Serve frontend
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Start server
+// Function to put tutorials whose rendering was cut short by a restart back to drafts: no job is drawing them
+// any more, and as drafts they can be rendered again or deleted (their step files are swept as orphans)
+async function recoverInterruptedRenders() {
+  for (const tutorial of await tutorialStore.listManifests()) {
+    if (tutorial.status !== 'rendering') continue;
+    await tutorialStore.save({ ...tutorial, status: 'draft', steps: [] });
+    console.log(`Tutorial ${tutorial.id} was being drawn when the server stopped; it is a draft again`);
+  }
+}
 
-// Start server
 app.listen(PORT, () => {
+  recoverInterruptedRenders().catch(error => console.error('Failed to recover interrupted tutorials:', error));
+  storageSweeper.start();
   console.log(`Server is running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} in your browser`);
 });
\ No newline at end of file
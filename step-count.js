@@ -0,0 +1,113 @@
+// How many steps a tutorial gets: step ranges per difficulty level, the user's override
+// (an exact count, or "fewer"/"more" steps) and parsing the model's pick
+
+const MIN_STEPS = 2;
+const MAX_STEPS = 30;
+
+// The model picks a count inside the range for the tutorial's difficulty level
+const STEP_RANGES = {
+  beginner: { min: 4, max: 8 },
+  intermediate: { min: 8, max: 14 },
+  advanced: { min: 12, max: 20 }
+};
+const DEFAULT_RANGE = { min: 8, max: 20 };
+
+const PREFERENCES = ['auto', 'fewer', 'more'];
+
+/**
+ * Read the step count fields of a tutorial request
+ * @param {Object} body - Request body with optional `steps` (exact count) and `stepPreference` ('auto', 'fewer' or 'more')
+ * @returns {{ request: { steps: number|null, preference: string }|null, error: string|null }}
+ */
+function parseStepCountRequest(body = {}) {
+  const request = { steps: null, preference: 'auto' };
+
+  if (body.stepPreference !== undefined && body.stepPreference !== '') {
+    request.preference = String(body.stepPreference).toLowerCase();
+    if (!PREFERENCES.includes(request.preference)) {
+      return { request: null, error: `stepPreference must be one of ${PREFERENCES.join(', ')}` };
+    }
+  }
+
+  if (body.steps !== undefined && body.steps !== '') {
+    request.steps = Number(body.steps);
+    if (!Number.isInteger(request.steps) || request.steps < MIN_STEPS || request.steps > MAX_STEPS) {
+      return { request: null, error: `steps must be a whole number between ${MIN_STEPS} and ${MAX_STEPS}` };
+    }
+    if (request.preference !== 'auto') {
+      return { request: null, error: 'Send either steps or stepPreference, not both' };
+    }
+  }
+
+  return { request, error: null };
+}
+
+/**
+ * Range of step counts the model may pick for a difficulty level, narrowed to its lower or upper half by a preference
+ * @param {string} difficulty - Difficulty level
+ * @param {string} [preference='auto'] - 'auto', 'fewer' or 'more'
+ * @returns {{ min: number, max: number }}
+ */
+function stepRangeFor(difficulty, preference = 'auto') {
+  const range = STEP_RANGES[String(difficulty).toLowerCase()] || DEFAULT_RANGE;
+  const middle = Math.round((range.min + range.max) / 2);
+  switch (preference) {
+    case 'fewer':
+      return { min: range.min, max: middle };
+    case 'more':
+      return { min: middle, max: range.max };
+    default:
+      return { ...range };
+  }
+}
+
+/**
+ * Step count to use when the model can't pick one: the middle of the range
+ * @param {{ min: number, max: number }} range
+ * @returns {number}
+ */
+function defaultStepCount(range) {
+  return Math.round((range.min + range.max) / 2);
+}
+
+/**
+ * Parse the model's step count answer: a JSON object { steps, reason } or just a number
+ * Counts outside the range are moved to its nearest end, and flagged as clamped
+ * @param {string} text - Raw model output
+ * @param {{ min: number, max: number }} range - Allowed range
+ * @returns {{ totalSteps: number|null, reason: string|null, clamped: boolean }} totalSteps is null when the answer has no count
+ */
+function parseStepCountResponse(text, range) {
+  let steps = NaN;
+  let reason = null;
+
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const value = JSON.parse(json[0]);
+      steps = Number(value.steps);
+      reason = typeof value.reason === 'string' && value.reason.trim() ? value.reason.trim().slice(0, 300) : null;
+    } catch (error) {
+      // Not JSON after all, look for a bare number below
+    }
+  }
+  if (!Number.isFinite(steps)) {
+    steps = parseInt(text.trim(), 10);
+  }
+  if (!Number.isFinite(steps)) {
+    return { totalSteps: null, reason: null, clamped: false };
+  }
+
+  const totalSteps = Math.min(range.max, Math.max(range.min, Math.round(steps)));
+  return { totalSteps, reason, clamped: totalSteps !== steps };
+}
+
+module.exports = {
+  parseStepCountRequest,
+  stepRangeFor,
+  defaultStepCount,
+  parseStepCountResponse,
+  STEP_RANGES,
+  MIN_STEPS,
+  MAX_STEPS
+};
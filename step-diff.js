@@ -0,0 +1,270 @@
+// "What's new in this step": compares a step image with the previous step's image and highlights the
+// lines that were added. Every step image is a full redraw, so the previous image is first aligned to
+// the new one (the model often shifts the drawing by a few pixels), then pencil marks of the new image
+// with no mark nearby in the previous one are tinted on a transparent overlay of the same size.
+// The same comparison measures how much of a drawing was kept, added or erased (see step-validation.js).
+
+const sharp = require('sharp');
+
+// Images are compared at this size (longest side); the overlay is scaled back up afterwards
+const WORK_SIZE = 384;
+// Grey levels darker than 255 - INK_THRESHOLD count as pencil
+const INK_THRESHOLD = 64;
+// Largest drift between two steps that alignment looks for, as a fraction of the longest side
+const MAX_SHIFT_RATIO = 0.04;
+// Lines that moved by up to this many pixels (at WORK_SIZE) after alignment still count as old
+const TOLERANCE = 2;
+// Alignment searches every COARSE_STEP pixels first, then refines around the best match
+const COARSE_STEP = 4;
+
+const DEFAULT_COLOR = { r: 255, g: 122, b: 0 };
+
+// Load an image as single-channel grey at the working size, plus a blurred copy for alignment
+async function loadGrey(buffer, width, height) {
+  const base = sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .greyscale();
+  const [grey, blurred] = await Promise.all([
+    base.clone().extractChannel(0).raw().toBuffer(),
+    base.clone().blur(2).extractChannel(0).raw().toBuffer()
+  ]);
+  return { grey, blurred };
+}
+
+// Mean grey difference between `current` and `previous` moved by (dx, dy), sampling every `stride` pixels
+function alignmentError(current, previous, width, height, dx, dy, stride) {
+  let sum = 0;
+  let count = 0;
+  for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y += stride) {
+    for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x += stride) {
+      sum += Math.abs(current[y * width + x] - previous[(y - dy) * width + (x - dx)]);
+      count++;
+    }
+  }
+  return count > 0 ? sum / count : Infinity;
+}
+
+// Best offset of `previous` within a search window around (centerX, centerY)
+function searchOffset(current, previous, width, height, { centerX, centerY, radius, spacing, stride }) {
+  let best = { x: centerX, y: centerY, error: Infinity };
+  for (let dy = centerY - radius; dy <= centerY + radius; dy += spacing) {
+    for (let dx = centerX - radius; dx <= centerX + radius; dx += spacing) {
+      const error = alignmentError(current, previous, width, height, dx, dy, stride);
+      // Prefer the smallest move when several offsets match equally well
+      if (error < best.error || (error === best.error && Math.abs(dx) + Math.abs(dy) < Math.abs(best.x) + Math.abs(best.y))) {
+        best = { x: dx, y: dy, error };
+      }
+    }
+  }
+  return best;
+}
+
+// Find how far the drawing moved from `previous` to `current`: a coarse search over the whole window, then a fine one
+function alignImages(current, previous, width, height) {
+  const maxShift = Math.ceil(Math.max(width, height) * MAX_SHIFT_RATIO);
+  const coarse = searchOffset(current, previous, width, height, {
+    centerX: 0,
+    centerY: 0,
+    radius: Math.ceil(maxShift / COARSE_STEP) * COARSE_STEP,
+    spacing: COARSE_STEP,
+    stride: COARSE_STEP
+  });
+  const fine = searchOffset(current, previous, width, height, {
+    centerX: coarse.x,
+    centerY: coarse.y,
+    radius: COARSE_STEP,
+    spacing: 1,
+    stride: 1
+  });
+  return { x: fine.x, y: fine.y };
+}
+
+// 1 where the grey image has pencil, 0 elsewhere
+function inkMask(grey) {
+  const mask = new Uint8Array(grey.length);
+  for (let i = 0; i < grey.length; i++) {
+    mask[i] = 255 - grey[i] > INK_THRESHOLD ? 1 : 0;
+  }
+  return mask;
+}
+
+// Grow every mark of a mask by `radius` pixels (a square max filter, done as two passes)
+function dilate(mask, width, height, radius) {
+  const rows = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+        if (mask[y * width + k]) {
+          rows[y * width + x] = 1;
+          break;
+        }
+      }
+    }
+  }
+  const grown = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+        if (rows[k * width + x]) {
+          grown[y * width + x] = 1;
+          break;
+        }
+      }
+    }
+  }
+  return grown;
+}
+
+// Drop single stray pixels (anti-aliasing and paper noise) from a mask
+function despeckle(mask, width, height) {
+  const cleaned = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      let neighbours = 0;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          neighbours += mask[ny * width + nx];
+        }
+      }
+      // The pixel itself plus at least one neighbour
+      cleaned[y * width + x] = neighbours >= 2 ? 1 : 0;
+    }
+  }
+  return cleaned;
+}
+
+// Line up two drawings at the working size and find which pencil marks are new in `currentImage`
+// and how many of `previousImage`'s marks have no mark near them any more
+async function matchInk(previousImage, currentImage, tolerance) {
+  const { width, height } = await sharp(currentImage).metadata();
+  const scale = Math.min(1, WORK_SIZE / Math.max(width, height));
+  const workWidth = Math.max(1, Math.round(width * scale));
+  const workHeight = Math.max(1, Math.round(height * scale));
+
+  const current = await loadGrey(currentImage, workWidth, workHeight);
+  const currentInk = inkMask(current.grey);
+
+  let offset = { x: 0, y: 0 };
+  let previousInk = new Uint8Array(currentInk.length);
+  let nearPrevious = previousInk;
+  if (previousImage) {
+    const previous = await loadGrey(previousImage, workWidth, workHeight);
+    offset = alignImages(current.blurred, previous.blurred, workWidth, workHeight);
+    previousInk = inkMask(previous.grey);
+    nearPrevious = dilate(previousInk, workWidth, workHeight, tolerance);
+  }
+
+  // A pencil mark is new if the aligned previous image has no mark within `tolerance` pixels of it
+  const added = new Uint8Array(currentInk.length);
+  for (let y = 0; y < workHeight; y++) {
+    for (let x = 0; x < workWidth; x++) {
+      const i = y * workWidth + x;
+      if (!currentInk[i]) continue;
+      const px = x - offset.x;
+      const py = y - offset.y;
+      const inPrevious = px >= 0 && py >= 0 && px < workWidth && py < workHeight && nearPrevious[py * workWidth + px];
+      added[i] = inPrevious ? 0 : 1;
+    }
+  }
+
+  // And a previous mark is lost if the new image has no mark within `tolerance` pixels of where it moved to
+  let previousCount = 0;
+  let lostCount = 0;
+  if (previousImage) {
+    const nearCurrent = dilate(currentInk, workWidth, workHeight, tolerance);
+    for (let y = 0; y < workHeight; y++) {
+      for (let x = 0; x < workWidth; x++) {
+        if (!previousInk[y * workWidth + x]) continue;
+        previousCount++;
+        const cx = x + offset.x;
+        const cy = y + offset.y;
+        const kept = cx >= 0 && cy >= 0 && cx < workWidth && cy < workHeight && nearCurrent[cy * workWidth + cx];
+        if (!kept) lostCount++;
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    scale,
+    workWidth,
+    workHeight,
+    offset,
+    currentInk,
+    newLines: despeckle(added, workWidth, workHeight),
+    previousCount,
+    lostCount
+  };
+}
+
+function countMarks(mask) {
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) {
+    count += mask[i];
+  }
+  return count;
+}
+
+/**
+ * Highlight the lines a step image adds to the previous step's image
+ * @param {Buffer|null} previousImage - Image of the previous step; null for the first step, where every line is new
+ * @param {Buffer} currentImage - Image of this step
+ * @param {Object} [options]
+ * @param {{ r: number, g: number, b: number }} [options.color] - Tint of the new lines
+ * @returns {Promise<{ overlay: Buffer, width: number, height: number, offset: { x: number, y: number }, newInkRatio: number }>}
+ *   A transparent PNG the size of `currentImage` with only the new lines tinted, how far the previous image was moved
+ *   to line up (in pixels of `currentImage`) and the share of this step's pencil marks that are new
+ */
+async function diffStepImages(previousImage, currentImage, { color = DEFAULT_COLOR } = {}) {
+  const match = await matchInk(previousImage, currentImage, TOLERANCE);
+  const { width, height, scale, workWidth, workHeight, newLines } = match;
+
+  const pixels = Buffer.alloc(workWidth * workHeight * 4);
+  for (let i = 0; i < newLines.length; i++) {
+    if (!newLines[i]) continue;
+    pixels[i * 4] = color.r;
+    pixels[i * 4 + 1] = color.g;
+    pixels[i * 4 + 2] = color.b;
+    pixels[i * 4 + 3] = 220;
+  }
+
+  const overlay = await sharp(pixels, { raw: { width: workWidth, height: workHeight, channels: 4 } })
+    .resize(width, height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+
+  const inkCount = countMarks(match.currentInk);
+  return {
+    overlay,
+    width,
+    height,
+    offset: { x: Math.round(match.offset.x / scale), y: Math.round(match.offset.y / scale) },
+    newInkRatio: inkCount > 0 ? countMarks(newLines) / inkCount : 0
+  };
+}
+
+/**
+ * Measure how a drawing changed from one image to the next, after lining them up
+ * @param {Buffer} previousImage - Earlier image
+ * @param {Buffer} currentImage - Later image
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - How far (in pixels at the working size) a line may move and still count as the same line
+ * @returns {Promise<{ newLines: number, keptLines: number, inkRatio: number, offset: { x: number, y: number } }>}
+ *   newLines: share of the later image's pencil marks that are new; keptLines: share of the earlier image's marks
+ *   still there; inkRatio: share of the later image covered in pencil (0 for a blank page)
+ */
+async function compareStepImages(previousImage, currentImage, { tolerance = TOLERANCE } = {}) {
+  const match = await matchInk(previousImage, currentImage, tolerance);
+  const inkCount = countMarks(match.currentInk);
+  return {
+    newLines: inkCount > 0 ? countMarks(match.newLines) / inkCount : 0,
+    keptLines: match.previousCount > 0 ? 1 - match.lostCount / match.previousCount : 1,
+    inkRatio: inkCount / match.currentInk.length,
+    offset: { x: Math.round(match.offset.x / match.scale), y: Math.round(match.offset.y / match.scale) }
+  };
+}
+
+module.exports = { diffStepImages, compareStepImages };
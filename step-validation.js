@@ -0,0 +1,142 @@
+// Quality checks for generated step images. Models often ignore "only draw this step": they erase or
+// restart the drawing, add nothing, or show the finished picture at step 3. Each step image is compared
+// with the previous step (were its lines kept, was something added?) and with the reference sketch (is it
+// already finished too early?), optionally followed by a vision model's opinion of what was added.
+
+const { compareStepImages } = require('./step-diff');
+const { extractJson } = require('./plan-schema');
+
+// Share of the previous step's lines that must still be there; models redraw everything, so lines move a little
+const MIN_KEPT_LINES = 0.5;
+// Share of the step's lines that must be new; small details (eyes, a smile) are only a few percent
+const MIN_NEW_LINES = 0.005;
+// How far ahead of its place in the tutorial a step may be, in share of the reference sketch it already covers
+const MAX_AHEAD = 0.5;
+// Redrawn lines may move this far (in pixels of the compared images) and still count as the same line
+const LINE_TOLERANCE = 4;
+
+const MAX_PROBLEM_LENGTH = 200;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// One entry of a validation report; only failed checks say what went wrong
+function check(name, passed, message, measured = {}) {
+  return passed ? { name, passed, ...measured } : { name, passed, ...measured, message };
+}
+
+/**
+ * Measure a step image against the previous step and the reference sketch
+ * @param {Object} input
+ * @param {Buffer} input.image - The step image
+ * @param {Buffer|null} input.previousImage - The previous step's image; null for the first step
+ * @param {Buffer} input.referenceImage - The finished reference sketch
+ * @param {number} input.stepNumber - Step number, from 1
+ * @param {number} input.totalSteps - Number of steps in the tutorial
+ * @returns {Promise<{ metrics: Object, checks: Object[] }>} Rounded measurements, and one
+ *   { name, passed, value, limit, message } entry per check; failed checks have a `message` saying what went wrong, in words the image model understands
+ */
+async function checkStepProgress({ image, previousImage, referenceImage, stepNumber, totalSteps }) {
+  const expectedProgress = stepNumber / totalSteps;
+  const fromReference = await compareStepImages(image, referenceImage, { tolerance: LINE_TOLERANCE });
+  const referenceCoverage = 1 - fromReference.newLines;
+  const metrics = { expectedProgress: round(expectedProgress), referenceCoverage: round(referenceCoverage) };
+  const checks = [];
+
+  if (previousImage) {
+    const fromPrevious = await compareStepImages(previousImage, image, { tolerance: LINE_TOLERANCE });
+    Object.assign(metrics, {
+      keptLines: round(fromPrevious.keptLines),
+      newLines: round(fromPrevious.newLines),
+      offset: fromPrevious.offset
+    });
+    checks.push(check(
+      'kept-previous-lines',
+      fromPrevious.keptLines >= MIN_KEPT_LINES,
+      'Lines from the previous step were erased or the drawing was started over. Keep every line of the previous step exactly where it is.',
+      { value: metrics.keptLines, limit: MIN_KEPT_LINES }
+    ));
+    checks.push(check(
+      'added-lines',
+      fromPrevious.newLines >= MIN_NEW_LINES,
+      'Nothing new was drawn. Add the lines this step asks for.',
+      { value: metrics.newLines, limit: MIN_NEW_LINES }
+    ));
+  } else {
+    // The first step has nothing to keep, but it should not be a blank page
+    const { inkRatio } = await compareStepImages(null, image);
+    checks.push(check(
+      'added-lines',
+      inkRatio > 0,
+      'The page is blank. Draw the lines this step asks for.',
+      { value: round(inkRatio), limit: 0 }
+    ));
+  }
+
+  checks.push(check(
+    'not-ahead',
+    referenceCoverage <= expectedProgress + MAX_AHEAD,
+    `The drawing already looks like a later step, or the finished picture. Draw only what step ${stepNumber} of ${totalSteps} asks for.`,
+    { value: metrics.referenceCoverage, limit: round(Math.min(1, expectedProgress + MAX_AHEAD)) }
+  ));
+
+  return { metrics, checks };
+}
+
+/**
+ * Parse the vision model's opinion of a step image
+ * @param {string} text - Raw model output, a JSON object { objectiveAdded, onlyObjectiveAdded, keptPreviousWork, problem }
+ * @returns {{ answer: Object|null, errors: string[] }}
+ */
+function parseVisionCheckResponse(text) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { answer: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { answer: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const errors = [];
+  ['objectiveAdded', 'onlyObjectiveAdded', 'keptPreviousWork'].forEach(key => {
+    if (typeof value[key] !== 'boolean') {
+      errors.push(`"${key}" must be true or false`);
+    }
+  });
+  if (value.problem !== undefined && value.problem !== null && typeof value.problem !== 'string') {
+    errors.push('"problem" must be text');
+  }
+  if (errors.length > 0) {
+    return { answer: null, errors };
+  }
+
+  return {
+    answer: {
+      objectiveAdded: value.objectiveAdded,
+      onlyObjectiveAdded: value.onlyObjectiveAdded,
+      keptPreviousWork: value.keptPreviousWork,
+      problem: (value.problem || '').trim().slice(0, MAX_PROBLEM_LENGTH)
+    },
+    errors: []
+  };
+}
+
+/**
+ * Turn the vision model's answer into checks like the ones checkStepProgress makes
+ * @param {Object} answer - Parsed answer from parseVisionCheckResponse
+ * @param {string} objective - What the step was supposed to add
+ * @returns {Object[]} { name, passed, message } entries, `message` only on failed checks
+ */
+function visionChecks(answer, objective) {
+  const detail = answer.problem ? ` (${answer.problem})` : '';
+  return [
+    check('vision-objective-added', answer.objectiveAdded, `The drawing does not show "${objective}" yet${detail}. Add it.`),
+    check('vision-only-objective', answer.onlyObjectiveAdded, `More than "${objective}" was added${detail}. Leave out anything from later steps.`),
+    check('vision-kept-previous', answer.keptPreviousWork, `The earlier work was changed or removed${detail}. Keep the previous step's drawing as it is.`)
+  ];
+}
+
+module.exports = { checkStepProgress, parseVisionCheckResponse, visionChecks };
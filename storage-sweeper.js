@@ -0,0 +1,162 @@
+// Retention policy for uploads and generated assets: expires unsaved tutorials, deletes orphaned files
+// (files no tutorial or learner profile refers to) and keeps track of storage use against a limit
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a storage sweeper
+ * @param {Object} options
+ * @param {Object<string, Object>} options.stores - Name -> storage backend (see storage/index.js), e.g. { generated: assetStorage }
+ * @param {Function} options.listTutorials - async () => every tutorial manifest
+ * @param {Function} options.tutorialAssetUrls - (tutorial) => URLs of the files a tutorial refers to
+ * @param {Function} [options.otherAssetUrls] - async () => URLs of files referred to outside tutorials (learners' saved drawings)
+ * @param {Function} options.removeTutorial - async (tutorial) => deletes a tutorial and its files; returns false to skip it
+ * @param {Object} options.policy
+ * @param {number} options.policy.draftMaxAgeMs - Unsaved tutorials untouched for longer are deleted; 0 keeps them
+ * @param {number} options.policy.orphanGraceMs - Orphaned files younger than this are left alone (jobs may still be writing them)
+ * @param {number} options.policy.limitBytes - Storage limit across all stores; 0 means no limit
+ * @param {number} options.policy.intervalMs - Time between sweeps once started
+ * @returns {Object} Sweeper with report(), sweep(), isOverLimit(), start() and stop()
+ */
+function createStorageSweeper({ stores, listTutorials, tutorialAssetUrls, otherAssetUrls = async () => [], removeTutorial, policy }) {
+  let lastUsageBytes = 0;
+  let lastSweep = null;
+  let timer = null;
+  let sweeping = null;
+
+  // List every stored file with its URL, size, age and the store holding it
+  async function scanFiles() {
+    const files = [];
+    for (const [name, store] of Object.entries(stores)) {
+      (await store.list()).forEach(file => files.push({ ...file, store: name }));
+    }
+    lastUsageBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+    return files;
+  }
+
+  // Tutorials that were never rendered (or whose rendering died) and haven't been touched for too long
+  function isExpired(tutorial, now) {
+    if (!policy.draftMaxAgeMs || !['draft', 'rendering'].includes(tutorial.status)) return false;
+    const updatedAt = Date.parse(tutorial.updatedAt || tutorial.createdAt);
+    return Number.isFinite(updatedAt) && now - updatedAt > policy.draftMaxAgeMs;
+  }
+
+  async function findOrphans(files, tutorials) {
+    const referenced = new Set([...tutorials.flatMap(tutorialAssetUrls), ...await otherAssetUrls()]);
+    return files.filter(file => !referenced.has(file.url));
+  }
+
+  /**
+   * Describe storage use, unsaved tutorials and orphaned files without changing anything
+   * @returns {Promise<Object>} Storage report
+   */
+  async function report() {
+    const now = Date.now();
+    const [files, tutorials] = await Promise.all([scanFiles(), listTutorials()]);
+    const orphans = await findOrphans(files, tutorials);
+
+    const usage = {};
+    Object.entries(stores).forEach(([name, store]) => {
+      const inStore = files.filter(file => file.store === name);
+      usage[name] = { backend: store.name, files: inStore.length, bytes: inStore.reduce((sum, file) => sum + file.bytes, 0) };
+    });
+
+    return {
+      stores: usage,
+      totalBytes: lastUsageBytes,
+      limitBytes: policy.limitBytes,
+      overLimit: isOverLimit(),
+      tutorials: {
+        total: tutorials.length,
+        unsaved: tutorials.filter(tutorial => ['draft', 'rendering'].includes(tutorial.status)).length,
+        expired: tutorials.filter(tutorial => isExpired(tutorial, now)).length
+      },
+      orphans: orphans.map(file => ({
+        url: file.url,
+        bytes: file.bytes,
+        modifiedAt: new Date(file.modifiedAt).toISOString(),
+        removable: now - file.modifiedAt > policy.orphanGraceMs
+      })),
+      orphanBytes: orphans.reduce((sum, file) => sum + file.bytes, 0),
+      lastSweep
+    };
+  }
+
+  async function runSweep() {
+    const now = Date.now();
+    const result = { expiredTutorials: [], deletedFiles: 0, freedBytes: 0 };
+
+    // Expire unsaved tutorials first, so their files are deleted with them
+    let tutorials = await listTutorials();
+    for (const tutorial of tutorials.filter(candidate => isExpired(candidate, now))) {
+      if (await removeTutorial(tutorial) !== false) {
+        console.log(`Expired unsaved tutorial ${tutorial.id}`);
+        result.expiredTutorials.push(tutorial.id);
+      }
+    }
+    if (result.expiredTutorials.length > 0) {
+      tutorials = await listTutorials();
+    }
+
+    // Then delete files nothing refers to, once they are past the grace period
+    const orphans = await findOrphans(await scanFiles(), tutorials);
+    for (const file of orphans.filter(orphan => now - orphan.modifiedAt > policy.orphanGraceMs)) {
+      try {
+        await stores[file.store].remove(file.url);
+        result.deletedFiles++;
+        result.freedBytes += file.bytes;
+      } catch (error) {
+        console.error(`Failed to delete orphaned file ${file.url}:`, error.message);
+      }
+    }
+
+    await scanFiles();
+    lastSweep = { ...result, finishedAt: new Date().toISOString(), totalBytes: lastUsageBytes, overLimit: isOverLimit() };
+    console.log(`Storage sweep: expired ${result.expiredTutorials.length} tutorials, deleted ${result.deletedFiles} orphaned files, ${lastUsageBytes} bytes in use`);
+    if (isOverLimit()) {
+      console.warn(`Storage is over its limit (${lastUsageBytes} of ${policy.limitBytes} bytes), new uploads are refused`);
+    }
+    return lastSweep;
+  }
+
+  /**
+   * Apply the retention policy now; concurrent calls share one sweep
+   * @returns {Promise<Object>} What was deleted and the storage use afterwards
+   */
+  function sweep() {
+    if (!sweeping) {
+      sweeping = runSweep().finally(() => {
+        sweeping = null;
+      });
+    }
+    return sweeping;
+  }
+
+  /**
+   * Whether the stores used more than the limit when they were last measured
+   * @returns {boolean}
+   */
+  function isOverLimit() {
+    return policy.limitBytes > 0 && lastUsageBytes > policy.limitBytes;
+  }
+
+  /**
+   * Sweep now and then periodically
+   */
+  function start() {
+    const run = () => sweep().catch(error => console.error('Storage sweep failed:', error));
+    run();
+    timer = setInterval(run, policy.intervalMs);
+    // Don't keep the process alive just for the sweeper
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { report, sweep, isOverLimit, start, stop };
+}
+
+module.exports = { createStorageSweeper, DAY_MS };
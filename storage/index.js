@@ -0,0 +1,48 @@
+// Storage backend selection for generated images and audio
+//
+// A storage backend exposes:
+//   name                                   - Backend id, 'local' or 's3'
+//   put(key, data, contentType)            - Store a Buffer under a file name, resolves to its public URL
+//   putFile(key, sourcePath, contentType)  - Same, from a file on disk
+//   get(url)                               - Resolves to the file's Buffer, or null if it is missing or not ours
+//   remove(url)                            - Delete a file; missing files and other backends' URLs are ignored
+//   list()                                 - Resolves to [{ url, bytes, modifiedAt }] for every stored file
+//   owns(url)                              - Whether a URL points into this backend
+//
+// URLs always come from the backend, so callers never build storage paths themselves.
+
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+/**
+ * Create the backend named by STORAGE_BACKEND (default 'local')
+ * @param {Object} env - Environment variables
+ * @returns {Object} Storage backend
+ */
+function createAssetStorage(env = process.env) {
+  const name = (env.STORAGE_BACKEND || 'local').toLowerCase();
+
+  switch (name) {
+    case 'local':
+      return createLocalStorage({ directory: env.GENERATED_DIR || 'generated', baseUrl: '/generated' });
+    case 's3':
+      if (!env.S3_BUCKET || !env.S3_PUBLIC_URL) {
+        throw new Error('STORAGE_BACKEND=s3 requires S3_BUCKET and S3_PUBLIC_URL');
+      }
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        publicUrl: env.S3_PUBLIC_URL,
+        prefix: env.S3_PREFIX !== undefined ? env.S3_PREFIX : 'generated/',
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || 'us-east-1',
+        credentials: env.S3_ACCESS_KEY_ID
+          ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+          : undefined,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined ? env.S3_FORCE_PATH_STYLE === 'true' : undefined
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected "local" or "s3")`);
+  }
+}
+
+module.exports = { createAssetStorage, createLocalStorage };
@@ -0,0 +1,85 @@
+// Local filesystem storage backend: files live in one directory and are served under baseUrl
+
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Create a storage backend on the local filesystem
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the files
+ * @param {string} options.baseUrl - URL path the directory is served under, e.g. '/generated'
+ * @returns {Object} Storage backend implementing put, putFile, get, remove, list and owns
+ */
+function createLocalStorage({ directory, baseUrl }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  function checkKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(directory, key);
+  }
+
+  // Map one of our URLs back to its file, or null for anything else
+  function urlToPath(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+    const key = url.slice(baseUrl.length + 1);
+    return KEY_PATTERN.test(key) ? path.join(directory, key) : null;
+  }
+
+  return {
+    name: 'local',
+    directory,
+    baseUrl,
+
+    async put(key, data) {
+      await fs.promises.writeFile(checkKey(key), data);
+      return `${baseUrl}/${key}`;
+    },
+
+    // Hard-link when possible so the file isn't copied again; a link keeps the source's modification time, so
+    // reset it or the storage sweeper could take the new file for an old orphan
+    async putFile(key, sourcePath) {
+      const target = checkKey(key);
+      await fs.promises.link(sourcePath, target).catch(() => fs.promises.copyFile(sourcePath, target));
+      const now = new Date();
+      await fs.promises.utimes(target, now, now);
+      return `${baseUrl}/${key}`;
+    },
+
+    async get(url) {
+      const filePath = urlToPath(url);
+      if (!filePath) return null;
+      return fs.promises.readFile(filePath).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+    },
+
+    async remove(url) {
+      const filePath = urlToPath(url);
+      if (!filePath) return;
+      await fs.promises.unlink(filePath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    async list() {
+      const files = [];
+      for (const name of await fs.promises.readdir(directory)) {
+        const stats = await fs.promises.stat(path.join(directory, name)).catch(() => null);
+        if (!stats || !stats.isFile() || !KEY_PATTERN.test(name)) continue;
+        files.push({ url: `${baseUrl}/${name}`, bytes: stats.size, modifiedAt: stats.mtimeMs });
+      }
+      return files;
+    },
+
+    owns(url) {
+      return urlToPath(url) !== null;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
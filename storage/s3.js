@@ -0,0 +1,105 @@
+// S3-compatible storage backend (AWS S3, MinIO, Cloudflare R2, ...)
+// Objects are stored under `prefix` in one bucket; their URLs start with publicUrl, which must be
+// readable by browsers (a public bucket policy or a CDN in front of the bucket)
+
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Create a storage backend on an S3-compatible object store
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.publicUrl - Base URL objects are served from, e.g. 'http://localhost:9000/tutorials'
+ * @param {string} [options.prefix='generated/'] - Key prefix inside the bucket
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services, e.g. 'http://localhost:9000'
+ * @param {string} [options.region='us-east-1'] - Region
+ * @param {Object} [options.credentials] - { accessKeyId, secretAccessKey }; defaults to the AWS credential chain
+ * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by most S3 stand-ins); defaults to true with a custom endpoint
+ * @returns {Object} Storage backend implementing put, putFile, get, remove, list and owns
+ */
+function createS3Storage({ bucket, publicUrl, prefix = 'generated/', endpoint, region = 'us-east-1', credentials, forcePathStyle }) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    credentials,
+    forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint)
+  });
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+
+  function checkKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return `${prefix}${key}`;
+  }
+
+  // Map one of our URLs back to its object key, or null for anything else
+  function urlToKey(url) {
+    const start = `${baseUrl}/${prefix}`;
+    if (typeof url !== 'string' || !url.startsWith(start)) return null;
+    const key = url.slice(start.length);
+    return KEY_PATTERN.test(key) ? `${prefix}${key}` : null;
+  }
+
+  async function put(key, data, contentType) {
+    const objectKey = checkKey(key);
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey, Body: data, ContentType: contentType }));
+    return `${baseUrl}/${objectKey}`;
+  }
+
+  return {
+    name: 's3',
+
+    put,
+
+    async putFile(key, sourcePath, contentType) {
+      return put(key, await fs.promises.readFile(sourcePath), contentType);
+    },
+
+    async get(url) {
+      const objectKey = urlToKey(url);
+      if (!objectKey) return null;
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+        throw error;
+      }
+    },
+
+    // S3 deletes succeed for missing keys too
+    async remove(url) {
+      const objectKey = urlToKey(url);
+      if (!objectKey) return;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey }));
+    },
+
+    async list() {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach(object => {
+          files.push({ url: `${baseUrl}/${object.Key}`, bytes: object.Size, modifiedAt: new Date(object.LastModified).getTime() });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    owns(url) {
+      return urlToKey(url) !== null;
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,57 @@
+const { createAssetStorage } = require('./storage');
+require('dotenv').config();
+
+// Round-trips a file through the configured storage backend
+// For the S3 backend, point it at a local MinIO (or any S3 stand-in), e.g.:
+//   docker run -p 9000:9000 minio/minio server /data
+//   (create a bucket "tutorials" with anonymous read access)
+//   STORAGE_BACKEND=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=tutorials \
+//   S3_PUBLIC_URL=http://localhost:9000/tutorials S3_ACCESS_KEY_ID=minioadmin \
+//   S3_SECRET_ACCESS_KEY=minioadmin node test-storage.js
+async function testStorage() {
+  const storage = createAssetStorage();
+  const key = `storage_test_${Date.now()}.txt`;
+  const data = Buffer.from('Hello from the storage test');
+
+  console.log(`Testing the "${storage.name}" storage backend...\n`);
+
+  const url = await storage.put(key, data, 'text/plain');
+  console.log(`✓ put stored ${key} at ${url}`);
+
+  const stored = await storage.get(url);
+  if (!stored || !stored.equals(data)) {
+    throw new Error('get did not return the stored data');
+  }
+  console.log('✓ get returned the stored data');
+
+  if (!storage.owns(url) || storage.owns('/somewhere/else.txt')) {
+    throw new Error('owns does not recognize its own URLs');
+  }
+  console.log('✓ owns recognizes its own URLs');
+
+  const listed = (await storage.list()).find(file => file.url === url);
+  if (!listed || listed.bytes !== data.length) {
+    throw new Error('list does not include the stored file');
+  }
+  console.log('✓ list includes the stored file');
+
+  // The URL should also be reachable the way a browser would load it
+  if (/^https?:/.test(url)) {
+    const response = await fetch(url);
+    console.log(response.ok ? '✓ public URL is readable' : `✗ public URL answered ${response.status}, check the bucket's read access`);
+  }
+
+  await storage.remove(url);
+  if (await storage.get(url)) {
+    throw new Error('remove did not delete the file');
+  }
+  await storage.remove(url);
+  console.log('✓ remove deleted the file (and ignores missing files)');
+
+  console.log('\nStorage backend is working');
+}
+
+testStorage().catch(error => {
+  console.error('✗ Storage test failed:', error.message);
+  process.exitCode = 1;
+});
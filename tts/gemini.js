@@ -0,0 +1,69 @@
+// Narration engine using Gemini's text-to-speech model
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-tts';
+const DEFAULT_VOICE = 'Kore';
+
+// Wrap raw 16-bit little-endian mono PCM in a WAV header so browsers can play it
+function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM format chunk size
+  header.writeUInt16LE(1, 20); // Audio format: PCM
+  header.writeUInt16LE(1, 22); // Channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Create the Gemini TTS engine
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - TTS model name
+ * @param {string} [options.voice] - Prebuilt voice name
+ * @returns {Object} Engine implementing synthesize()
+ */
+function createGeminiEngine({ apiKey, model = DEFAULT_MODEL, voice = DEFAULT_VOICE }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    async synthesize(text) {
+      const ttsModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          responseModalities: ['AUDIO'],
+          speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } }
+        }
+      });
+
+      const prompt = `Say slowly and warmly, like a kind art teacher talking to a child: ${text}`;
+      const result = await ttsModel.generateContent(prompt);
+      const response = await result.response;
+      const candidate = response.candidates && response.candidates[0];
+      const part = candidate && candidate.content && candidate.content.parts.find(p => p.inlineData);
+      if (!part) {
+        throw new Error('Gemini returned no audio data');
+      }
+
+      // Gemini sends e.g. "audio/L16;codec=pcm;rate=24000"
+      const rateMatch = part.inlineData.mimeType.match(/rate=(\d+)/);
+      const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000;
+      const data = pcmToWav(Buffer.from(part.inlineData.data, 'base64'), sampleRate);
+      return { data, mimeType: 'audio/wav', extension: '.wav' };
+    }
+  };
+}
+
+module.exports = { createGeminiEngine };
@@ -0,0 +1,37 @@
+// Narration (text-to-speech) engine selection
+//
+// An engine exposes:
+//   name                             - Engine id, e.g. 'offline' or 'gemini'
+//   synthesize(text, { language })   - Resolves to { data: Buffer, mimeType, extension }
+
+const { createOfflineEngine } = require('./offline');
+const { createGeminiEngine } = require('./gemini');
+
+/**
+ * Create the engine named by TTS_ENGINE (default: the offline engine)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Narration engine, or null when narration is turned off
+ */
+function createTtsEngine(env = process.env) {
+  const name = (env.TTS_ENGINE || 'offline').toLowerCase();
+
+  switch (name) {
+    case 'offline':
+      return createOfflineEngine({ speed: parseInt(env.TTS_SPEED, 10) || undefined });
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) {
+        throw new Error('TTS_ENGINE=gemini requires GEMINI_API_KEY');
+      }
+      return createGeminiEngine({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_TTS_MODEL,
+        voice: env.GEMINI_TTS_VOICE
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown TTS_ENGINE "${name}" (expected "offline", "gemini" or "none")`);
+  }
+}
+
+module.exports = { createTtsEngine };
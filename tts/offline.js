@@ -0,0 +1,52 @@
+// Offline narration engine built on meSpeak (eSpeak compiled to JavaScript), no network needed
+
+const meSpeak = require('mespeak');
+
+// meSpeak voice files for the languages we narrate in
+const VOICES = {
+  en: 'mespeak/voices/en/en-us.json',
+  es: 'mespeak/voices/es.json',
+  fr: 'mespeak/voices/fr.json'
+};
+
+let configLoaded = false;
+const loadedVoices = new Set();
+
+// Load the meSpeak config and a voice the first time they are needed
+function ensureVoice(language) {
+  if (!configLoaded) {
+    meSpeak.loadConfig(require('mespeak/src/mespeak_config.json'));
+    configLoaded = true;
+  }
+  const voiceFile = VOICES[language] || VOICES.en;
+  const voice = require(voiceFile);
+  if (!loadedVoices.has(voice.voice_id)) {
+    meSpeak.loadVoice(voice);
+    loadedVoices.add(voice.voice_id);
+  }
+  return voice.voice_id;
+}
+
+/**
+ * Create the offline engine
+ * @param {Object} [options]
+ * @param {number} [options.speed] - Words per minute; slower than eSpeak's default suits children
+ * @returns {Object} Engine implementing synthesize()
+ */
+function createOfflineEngine({ speed = 140 } = {}) {
+  return {
+    name: 'offline',
+
+    // Synthesis is synchronous inside meSpeak, so keep narrated texts short
+    async synthesize(text, { language = 'en' } = {}) {
+      const voice = ensureVoice(language);
+      const data = meSpeak.speak(text, { rawdata: 'buffer', voice, speed });
+      if (!data) {
+        throw new Error('meSpeak produced no audio');
+      }
+      return { data, mimeType: 'audio/wav', extension: '.wav' };
+    }
+  };
+}
+
+module.exports = { createOfflineEngine };
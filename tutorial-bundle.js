@@ -0,0 +1,270 @@
+// Portable tutorial bundles: one zip archive holding a versioned manifest plus the tutorial's files
+//
+// Layout:
+//   bundle.json        - { format, version, exportedAt, tutorial }
+//   assets/<name>      - images and audio; the manifest refers to them as 'assets/<name>'
+//
+// Bump BUNDLE_VERSION whenever the manifest changes shape and add a migration from the previous
+// version, so bundles exported by older versions of the app still import.
+
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { normalizePlanStep } = require('./plan-schema');
+
+const BUNDLE_FORMAT = 'magic-pencil-tutorial';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'bundle.json';
+
+const MAX_ENTRIES = 200;
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+const ASSET_PATTERN = /^assets\/[A-Za-z0-9._-]+$/;
+const ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.wav', '.mp3', '.ogg'];
+
+// Migrations from version N to N + 1, applied in order to the bundle manifest
+const MIGRATIONS = {};
+
+// Check one step of a bundled tutorial; returns a list of problems (empty when valid)
+// The viewer and the worksheet rely on the number, the description and the image (null when it couldn't be drawn)
+function validateStep(step, index) {
+  const label = `steps[${index}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  if (step.step !== index + 1) {
+    errors.push(`${label}.step must be ${index + 1}`);
+  }
+  if (typeof step.description !== 'string' || !step.description.trim()) {
+    errors.push(`${label}.description must be a non-empty string`);
+  }
+  if (typeof step.imageUrl !== 'string' && step.imageUrl !== null) {
+    errors.push(`${label}.imageUrl must be a file reference or null`);
+  }
+  ['focus', 'avoid', 'tips'].forEach(field => {
+    if (step[field] !== undefined && step[field] !== null && typeof step[field] !== 'string') {
+      errors.push(`${label}.${field} must be a string`);
+    }
+  });
+  const minutes = step.estimatedMinutes;
+  if (minutes !== undefined && minutes !== null && (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0)) {
+    errors.push(`${label}.estimatedMinutes must be a number greater than 0`);
+  }
+  return errors;
+}
+
+// Copy a tutorial manifest, passing every image and audio reference through `mapRef`
+function mapAssetRefs(tutorial, mapRef) {
+  const map = ref => (ref ? mapRef(ref) : ref);
+  return {
+    ...tutorial,
+    source: tutorial.source && { ...tutorial.source, imageUrl: map(tutorial.source.imageUrl) },
+    sketch: tutorial.sketch && { ...tutorial.sketch, imageUrl: map(tutorial.sketch.imageUrl), audio: map(tutorial.sketch.audio) },
+    steps: (tutorial.steps || []).map(step => ({
+      ...step,
+      imageUrl: map(step.imageUrl),
+      overlayUrl: map(step.overlayUrl),
+      audio: map(step.audio)
+    })),
+    practice: tutorial.practice && { ...tutorial.practice, imageUrl: map(tutorial.practice.imageUrl) }
+  };
+}
+
+/**
+ * Pack a tutorial and its files into a bundle
+ * @param {Object} tutorial - Tutorial manifest from the store
+ * @param {Function} readAsset - async (url) => Buffer|null, reads a stored image or audio file
+ * @returns {Promise<Buffer>} The zip archive
+ */
+async function createBundle(tutorial, readAsset) {
+  const zip = new AdmZip();
+  const names = new Map();
+
+  for (const url of collectRefs(tutorial)) {
+    if (names.has(url)) continue;
+    const data = await readAsset(url);
+    if (!data) {
+      console.log(`Leaving missing file ${url} out of the bundle`);
+      names.set(url, null);
+      continue;
+    }
+    const name = `assets/${names.size + 1}-${path.basename(url).replace(/[^A-Za-z0-9._-]/g, '_')}`;
+    zip.addFile(name, data);
+    names.set(url, name);
+  }
+
+  const { id, ...rest } = mapAssetRefs(tutorial, url => names.get(url) || null);
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    tutorial: { ...rest, originalId: id }
+  };
+  zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+}
+
+// Every asset reference in a manifest, in a stable order
+function collectRefs(tutorial) {
+  const refs = [];
+  mapAssetRefs(tutorial, ref => {
+    refs.push(ref);
+    return ref;
+  });
+  return refs;
+}
+
+// Unpack one archive entry without ever inflating more than `limit` bytes: the sizes in the headers are
+// whatever the uploader wrote, so a zip bomb can declare a tiny file that unpacks to gigabytes
+// Throws an error whose message completes "<entry name> ..."
+function readEntry(entry, limit) {
+  if (entry.header.encrypted) {
+    throw new Error('is encrypted');
+  }
+
+  let data;
+  try {
+    const compressed = entry.getCompressedData();
+    if (entry.header.method === 0) {
+      data = compressed;
+    } else if (entry.header.method === 8) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, limit) });
+    } else {
+      throw new Error(`uses unsupported compression method ${entry.header.method}`);
+    }
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error('is too large once unpacked');
+    }
+    throw error.message.startsWith('uses ') ? error : new Error(`is damaged: ${error.message}`);
+  }
+
+  if (data.length > limit) {
+    throw new Error('is too large once unpacked');
+  }
+  if (data.length !== entry.header.size) {
+    throw new Error('is damaged: its size does not match the archive');
+  }
+  return data;
+}
+
+/**
+ * Unpack and check a bundle
+ * @param {Buffer} buffer - Zip archive
+ * @returns {{ tutorial: Object|null, assets: Map<string, Buffer>|null, exportedAt: string|null, errors: string[] }}
+ *   The tutorial (asset references still 'assets/<name>') and its files, or the problems found
+ */
+function readBundle(buffer) {
+  const fail = errors => ({ tutorial: null, assets: null, exportedAt: null, errors });
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+  } catch (error) {
+    return fail([`Not a zip archive: ${error.message}`]);
+  }
+
+  if (entries.length > MAX_ENTRIES) {
+    return fail([`Bundle has more than ${MAX_ENTRIES} files`]);
+  }
+  const totalSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (totalSize > MAX_TOTAL_SIZE || entries.some(entry => entry.header.size > MAX_ENTRY_SIZE)) {
+    return fail(['Bundle is too large once unpacked']);
+  }
+
+  // The sizes above are only what the archive declares; these limits hold for what is really unpacked
+  let unpackedSize = 0;
+  const unpack = entry => {
+    const data = readEntry(entry, Math.min(MAX_ENTRY_SIZE, MAX_TOTAL_SIZE - unpackedSize));
+    unpackedSize += data.length;
+    return data;
+  };
+
+  const manifestEntry = entries.find(entry => entry.entryName === MANIFEST_NAME);
+  if (!manifestEntry) {
+    return fail([`Bundle has no ${MANIFEST_NAME}`]);
+  }
+
+  let manifestData;
+  try {
+    manifestData = unpack(manifestEntry);
+  } catch (error) {
+    return fail([`${MANIFEST_NAME} ${error.message}`]);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestData.toString('utf8'));
+  } catch (error) {
+    return fail([`${MANIFEST_NAME} is not valid JSON: ${error.message}`]);
+  }
+
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    return fail([`${MANIFEST_NAME} is not a ${BUNDLE_FORMAT} manifest`]);
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    return fail(['Bundle version is missing or invalid']);
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    return fail([`Bundle version ${manifest.version} is newer than this app supports (${BUNDLE_VERSION})`]);
+  }
+  for (let version = manifest.version; version < BUNDLE_VERSION; version++) {
+    manifest = { ...MIGRATIONS[version](manifest), version: version + 1 };
+  }
+
+  const errors = [];
+  const tutorial = manifest.tutorial;
+  if (!tutorial || typeof tutorial !== 'object') {
+    return fail(['Bundle manifest has no tutorial']);
+  }
+  if (!['complete', 'draft'].includes(tutorial.status || 'complete')) {
+    errors.push(`Tutorial status "${tutorial.status}" cannot be imported`);
+  }
+  if (!tutorial.sketch || !tutorial.sketch.imageUrl) {
+    errors.push('Tutorial has no reference sketch');
+  }
+  if (!Array.isArray(tutorial.plan) || !Array.isArray(tutorial.steps || [])) {
+    return fail(['Tutorial plan and steps must be lists']);
+  }
+  (tutorial.steps || []).forEach((step, index) => errors.push(...validateStep(step, index)));
+  if (errors.length > 0) {
+    return fail(errors);
+  }
+
+  // Every referenced file must be a safely named image or audio file that is in the archive
+  const entriesByName = new Map(entries.map(entry => [entry.entryName, entry]));
+  const assets = new Map();
+  collectRefs(tutorial).forEach(ref => {
+    if (typeof ref !== 'string' || !ASSET_PATTERN.test(ref) || !ASSET_EXTENSIONS.includes(path.extname(ref).toLowerCase())) {
+      errors.push(`Invalid file reference ${JSON.stringify(ref)}`);
+    } else if (!entriesByName.has(ref)) {
+      errors.push(`Bundle is missing ${ref}`);
+    } else if (!assets.has(ref)) {
+      try {
+        assets.set(ref, unpack(entriesByName.get(ref)));
+      } catch (error) {
+        // Only report each file once
+        assets.set(ref, null);
+        errors.push(`${ref} ${error.message}`);
+      }
+    }
+  });
+
+  let plan = [];
+  if (Array.isArray(tutorial.plan)) {
+    // Plans may still be plain strings in manifests from before structured plans
+    plan = tutorial.plan.map(normalizePlanStep);
+    if (plan.some(step => !step)) {
+      errors.push('Every plan step needs an objective');
+    }
+  }
+
+  if (errors.length > 0) {
+    return fail(errors);
+  }
+  return { tutorial: { ...tutorial, plan }, assets, exportedAt: manifest.exportedAt || null, errors: [] };
+}
+
+module.exports = { createBundle, readBundle, mapAssetRefs, BUNDLE_VERSION };
@@ -0,0 +1,120 @@
+// File-backed library of finished tutorials
+// Each tutorial is one JSON manifest in the store directory; its images stay in generated/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Create a tutorial store
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the manifests
+ * @returns {Object} Store with save(), get(), list(), listManifests() and remove()
+ */
+function createTutorialStore({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  function manifestPath(id) {
+    return path.join(directory, `${id}.json`);
+  }
+
+  /**
+   * Save a tutorial manifest, assigning an id and timestamps when missing
+   * @param {Object} tutorial - Tutorial manifest
+   * @returns {Promise<Object>} The saved manifest
+   */
+  async function save(tutorial) {
+    const now = new Date().toISOString();
+    const manifest = {
+      ...tutorial,
+      id: tutorial.id || crypto.randomUUID(),
+      createdAt: tutorial.createdAt || now,
+      updatedAt: now
+    };
+
+    // Write to a temporary file first so a crash never leaves a half-written manifest; each save gets its own,
+    // since a job's progress and an edit can save the same tutorial at once
+    const target = manifestPath(manifest.id);
+    const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(temporary, target);
+    return manifest;
+  }
+
+  /**
+   * Load a tutorial manifest
+   * @param {string} id - Tutorial id
+   * @returns {Promise<Object|null>} The manifest, or null if there is no such tutorial
+   */
+  async function get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(manifestPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load every tutorial manifest, skipping unreadable ones
+   * @returns {Promise<Object[]>} Full manifests, in no particular order
+   */
+  async function listManifests() {
+    const files = await fs.promises.readdir(directory);
+    const manifests = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        manifests.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable tutorial manifest ${file}:`, error.message);
+      }
+    }
+    return manifests;
+  }
+
+  /**
+   * List summaries of all tutorials, newest first
+   * @returns {Promise<Object[]>} Summaries with id, status, title, difficulty, thumbnail, step count and timestamps
+   */
+  async function list() {
+    const summaries = (await listManifests()).map(tutorial => ({
+      id: tutorial.id,
+      status: tutorial.status || 'complete',
+      title: tutorial.title,
+      difficulty: tutorial.difficulty,
+      thumbnailUrl: tutorial.sketch ? tutorial.sketch.imageUrl : null,
+      stepCount: tutorial.stepCount || (tutorial.steps ? tutorial.steps.length : 0),
+      createdAt: tutorial.createdAt,
+      updatedAt: tutorial.updatedAt
+    }));
+
+    return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete a tutorial manifest
+   * @param {string} id - Tutorial id
+   * @returns {Promise<Object|null>} The deleted manifest, or null if there was none
+   */
+  async function remove(id) {
+    const tutorial = await get(id);
+    if (!tutorial) {
+      return null;
+    }
+    await fs.promises.unlink(manifestPath(id));
+    return tutorial;
+  }
+
+  return { save, get, list, listManifests, remove };
+}
+
+module.exports = { createTutorialStore };
@@ -0,0 +1,174 @@
+// Printable PDF worksheets for finished tutorials
+// The first page shows the reference sketch and description, the following pages lay the
+// numbered steps out in a grid, optionally with an empty practice box next to each step image
+
+const PDFDocument = require('pdfkit');
+const { translate } = require('./i18n');
+
+const PAGE_SIZES = ['A4', 'LETTER'];
+const MAX_STEPS_PER_PAGE = 8;
+const DEFAULT_OPTIONS = { pageSize: 'A4', stepsPerPage: 4, practiceBox: true };
+
+const MARGIN = 40;
+const GAP = 16;
+const CAPTION_HEIGHT = 54;
+
+/**
+ * Read worksheet options from a query string
+ * @param {Object} query - Express query object
+ * @returns {{ options: Object|null, error: string|null }} Options with defaults filled in, or what was wrong
+ */
+function parseWorksheetOptions(query = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (query.pageSize !== undefined) {
+    options.pageSize = String(query.pageSize).toUpperCase();
+    if (!PAGE_SIZES.includes(options.pageSize)) {
+      return { options: null, error: `pageSize must be one of ${PAGE_SIZES.join(', ')}` };
+    }
+  }
+
+  if (query.stepsPerPage !== undefined) {
+    options.stepsPerPage = Number(query.stepsPerPage);
+    if (!Number.isInteger(options.stepsPerPage) || options.stepsPerPage < 1 || options.stepsPerPage > MAX_STEPS_PER_PAGE) {
+      return { options: null, error: `stepsPerPage must be a whole number between 1 and ${MAX_STEPS_PER_PAGE}` };
+    }
+  }
+
+  if (query.practiceBox !== undefined) {
+    const value = String(query.practiceBox).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      return { options: null, error: 'practiceBox must be true or false' };
+    }
+    options.practiceBox = value === 'true' || value === '1';
+  }
+
+  return { options, error: null };
+}
+
+// Grid for a page of steps: with practice boxes each step takes a full row (image | box),
+// otherwise steps sit side by side two to a row once there are enough of them
+function gridFor({ stepsPerPage, practiceBox }) {
+  const columns = !practiceBox && stepsPerPage >= 4 ? 2 : 1;
+  return { columns, rows: Math.ceil(stepsPerPage / columns) };
+}
+
+// Draw an image scaled into a box, or a labelled empty frame when it is missing or unsupported
+function drawImage(doc, image, x, y, width, height, missingLabel) {
+  if (image) {
+    try {
+      doc.image(image, x, y, { fit: [width, height], align: 'center', valign: 'center' });
+      return;
+    } catch (error) {
+      console.error('Skipping worksheet image:', error.message);
+    }
+  }
+  doc.save().lineWidth(0.5).strokeColor('#bbbbbb').rect(x, y, width, height).stroke().restore();
+  doc.fontSize(9).fillColor('#999999').text(missingLabel, x, y + height / 2 - 5, { width, align: 'center' });
+}
+
+function drawPracticeBox(doc, x, y, width, height, label) {
+  doc.save().lineWidth(1).dash(4, { space: 4 }).strokeColor('#999999').rect(x, y, width, height).stroke().restore();
+  doc.fontSize(8).fillColor('#999999').text(label, x + 6, y + 6);
+}
+
+// `t` translates worksheet labels into the tutorial's language
+function drawStep(doc, step, image, practiceBox, x, y, width, height, t) {
+  const artHeight = height - CAPTION_HEIGHT;
+  if (practiceBox) {
+    const half = (width - GAP) / 2;
+    drawImage(doc, image, x, y, half, artHeight, t('worksheet.imageMissing'));
+    drawPracticeBox(doc, x + half + GAP, y, half, artHeight, t('worksheet.yourTurn'));
+  } else {
+    drawImage(doc, image, x, y, width, artHeight, t('worksheet.imageMissing'));
+  }
+
+  const captionY = y + artHeight + 6;
+  doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold').text(`${t('worksheet.step', { step: step.step })} `, x, captionY, {
+    width,
+    continued: true
+  });
+  doc.font('Helvetica').text(step.description || '', { width, height: CAPTION_HEIGHT - 18, ellipsis: true });
+  if (step.tips) {
+    doc.fontSize(9).fillColor('#555555').text(t('worksheet.tip', { tip: step.tips }), x, doc.y + 2, {
+      width,
+      height: y + height - doc.y,
+      ellipsis: true
+    });
+  }
+}
+
+/**
+ * Build a printable worksheet for a tutorial
+ * @param {Object} tutorial - Complete tutorial manifest
+ * @param {Object} options - Options from parseWorksheetOptions()
+ * @param {Function} loadImage - async (imageUrl) => Buffer|null, reads a stored image
+ * @returns {Promise<Buffer>} The PDF file
+ */
+async function buildWorksheetPdf(tutorial, options, loadImage) {
+  const { pageSize, stepsPerPage, practiceBox } = { ...DEFAULT_OPTIONS, ...options };
+  const steps = tutorial.steps || [];
+  const t = (key, params) => translate(tutorial.language, key, params);
+  const title = tutorial.title || t('worksheet.untitled');
+  // Difficulty levels without a translation are printed as they are
+  const difficultyKey = `difficulty.${String(tutorial.difficulty).toLowerCase()}`;
+  const difficulty = tutorial.difficulty && (t(difficultyKey) !== difficultyKey ? t(difficultyKey) : tutorial.difficulty);
+
+  // Load everything up front so the document itself is built synchronously
+  const sketchImage = tutorial.sketch ? await loadImage(tutorial.sketch.imageUrl) : null;
+  const stepImages = [];
+  for (const step of steps) {
+    stepImages.push(await loadImage(step.imageUrl));
+  }
+
+  const doc = new PDFDocument({
+    size: pageSize,
+    margin: MARGIN,
+    autoFirstPage: false,
+    info: { Title: title, Creator: 'Magic Pencil Guide' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Cover page: title, reference sketch and description
+  doc.addPage();
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const contentHeight = doc.page.height - MARGIN * 2;
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#000000').text(title, { align: 'center' });
+  doc.font('Helvetica').fontSize(11).fillColor('#555555')
+    .text(`${t('worksheet.stepCount', { count: steps.length })}${difficulty ? ` · ${difficulty}` : ''}`, { align: 'center' });
+  doc.moveDown();
+  const sketchTop = doc.y;
+  const sketchHeight = contentHeight * 0.55;
+  drawImage(doc, sketchImage, MARGIN, sketchTop, contentWidth, sketchHeight, t('worksheet.imageMissing'));
+  if (tutorial.sketch && tutorial.sketch.description) {
+    doc.font('Helvetica').fontSize(11).fillColor('#000000').text(tutorial.sketch.description, MARGIN, sketchTop + sketchHeight + GAP, {
+      width: contentWidth,
+      height: doc.page.height - MARGIN - (sketchTop + sketchHeight + GAP),
+      ellipsis: true
+    });
+  }
+
+  // Step pages
+  const { columns, rows } = gridFor({ stepsPerPage, practiceBox });
+  const cellWidth = (contentWidth - GAP * (columns - 1)) / columns;
+  const cellHeight = (contentHeight - GAP * (rows - 1)) / rows;
+  steps.forEach((step, index) => {
+    const slot = index % stepsPerPage;
+    if (slot === 0) {
+      doc.addPage();
+    }
+    const x = MARGIN + (slot % columns) * (cellWidth + GAP);
+    const y = MARGIN + Math.floor(slot / columns) * (cellHeight + GAP);
+    drawStep(doc, step, stepImages[index], practiceBox, x, y, cellWidth, cellHeight, t);
+  });
+
+  doc.end();
+  return finished;
+}
+
+module.exports = { buildWorksheetPdf, parseWorksheetOptions, PAGE_SIZES };